@@ -0,0 +1,88 @@
+import Product from "../models/product.model.js";
+import ProductAlert from "../models/productAlert.model.js";
+import { availableStock } from "../lib/inventory.js";
+import { effectivePrice } from "../lib/pricing.js";
+import { findVariant, hasVariants } from "../lib/variants.js";
+
+const ALERT_TYPES = ["back_in_stock", "price_drop"];
+
+export const getAlerts = async (req, res) => {
+	try {
+		const alerts = await ProductAlert.find({ user: req.user._id, status: { $ne: "cancelled" } })
+			.sort({ createdAt: -1 })
+			.populate("product", "name image price");
+
+		res.json(alerts);
+	} catch (error) {
+		console.log("Error in getAlerts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createAlert = async (req, res) => {
+	try {
+		const { productId, variantId = null, type, targetPrice } = req.body;
+
+		if (!ALERT_TYPES.includes(type)) {
+			return res.status(400).json({ message: `Type must be one of: ${ALERT_TYPES.join(", ")}` });
+		}
+
+		const product = await Product.findById(productId);
+		if (!product || !product.isPublished()) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		const variant = findVariant(product, variantId);
+		if (variantId && !variant) {
+			return res.status(404).json({ message: "Variant not found" });
+		}
+		// a product with options is stocked and priced per option, the alert has to name one
+		if (!variantId && hasVariants(product)) {
+			return res.status(400).json({ message: "Please choose an option for this product", code: "VARIANT_REQUIRED", productId });
+		}
+
+		const alert = { user: req.user._id, product: productId, variant: variantId || null, type };
+
+		if (type === "back_in_stock") {
+			if (availableStock(product, variantId) > 0) {
+				return res.status(400).json({ message: "This product is in stock" });
+			}
+		} else {
+			// defaults to today's price, so any drop is reported
+			const currentPrice = effectivePrice(product, variant);
+			const target = targetPrice !== undefined ? Number(targetPrice) : currentPrice;
+			if (isNaN(target) || target <= 0 || target > currentPrice) {
+				return res.status(400).json({ message: `Target price must be between 0 and ${currentPrice}` });
+			}
+			alert.targetPrice = target;
+		}
+
+		const { user, product: alertProduct, variant: alertVariant } = alert;
+		if (await ProductAlert.exists({ user, product: alertProduct, variant: alertVariant, type, status: "active" })) {
+			return res.status(400).json({ message: "You are already subscribed to this alert" });
+		}
+
+		const created = await ProductAlert.create(alert);
+		res.status(201).json(created);
+	} catch (error) {
+		console.log("Error in createAlert controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const cancelAlert = async (req, res) => {
+	try {
+		const alert = await ProductAlert.findOneAndUpdate(
+			{ _id: req.params.id, user: req.user._id, status: "active" },
+			{ status: "cancelled" },
+			{ new: true }
+		);
+		if (!alert) {
+			return res.status(404).json({ message: "Alert not found" });
+		}
+
+		res.json({ message: "Alert cancelled" });
+	} catch (error) {
+		console.log("Error in cancelAlert controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
@@ -1,6 +1,8 @@
 import { redis } from "../lib/redis.js";
 import User from "../models/user.model.js";
 import jwt from "jsonwebtoken";
+import { mergeGuestCart } from "../lib/guestCart.js";
+import { ensureReferralCode, findReferrer, recordReferral } from "../lib/referrals.js";
 
 const generateTokens = (userId) => {
 	const accessToken = jwt.sign({ userId }, process.env.ACCESS_TOKEN_SECRET, {
@@ -34,26 +36,38 @@ const setCookies = (res, accessToken, refreshToken) => {
 };
 
 export const signup = async (req, res) => {
-	const { email, password, name } = req.body;
+	const { email, password, name, referralCode } = req.body;
 	try {
 		const userExists = await User.findOne({ email });
 
 		if (userExists) {
 			return res.status(400).json({ message: "User already exists" });
 		}
+
+		const referrer = referralCode ? await findReferrer(referralCode) : null;
+		if (referralCode && !referrer) {
+			return res.status(400).json({ message: "Invalid referral code" });
+		}
+
 		const user = await User.create({ name, email, password });
+		user.referralCode = await ensureReferralCode(user);
+		if (referrer) {
+			await recordReferral(user, referrer);
+		}
 
 		// authenticate
 		const { accessToken, refreshToken } = generateTokens(user._id);
 		await storeRefreshToken(user._id, refreshToken);
 
 		setCookies(res, accessToken, refreshToken);
+		await mergeGuestCart(req, res, user);
 
 		res.status(201).json({
 			_id: user._id,
 			name: user.name,
 			email: user.email,
 			role: user.role,
+			referralCode: user.referralCode,
 		});
 	} catch (error) {
 		console.log("Error in signup controller", error.message);
@@ -70,6 +84,7 @@ export const login = async (req, res) => {
 			const { accessToken, refreshToken } = generateTokens(user._id);
 			await storeRefreshToken(user._id, refreshToken);
 			setCookies(res, accessToken, refreshToken);
+			await mergeGuestCart(req, res, user);
 
 			res.json({
 				_id: user._id,
@@ -1,14 +1,36 @@
 import Product from "../models/product.model.js";
+import { availableStock } from "../lib/inventory.js";
+import { CartError, addItemToCart, cartItemProductId, isSameLine, isValidQuantity, validateLine } from "../lib/cart.js";
+import { listPriceIn, priceIn } from "../lib/pricing.js";
+import { BASE_CURRENCY } from "../lib/currency.js";
+import { buildQuote, saveQuote } from "../lib/quote.js";
+import { displayImage, findVariant, variantLabel } from "../lib/variants.js";
 
 export const getCartProducts = async (req, res) => {
 	try {
-		const products = await Product.find({ _id: { $in: req.user.cartItems } });
+		const products = await Product.find({ _id: { $in: req.cart.items.map(cartItemProductId) } });
 
-		// add quantity for each product
-		const cartItems = products.map((product) => {
-			const item = req.user.cartItems.find((cartItem) => cartItem.id === product.id);
-			return { ...product.toJSON(), quantity: item.quantity };
-		});
+		// one entry per cart line, a product can appear once per chosen variant
+		const cartItems = req.cart.items
+			.map((item) => {
+				const product = products.find((p) => p.id === cartItemProductId(item));
+				if (!product) return null;
+
+				const variant = findVariant(product, item.variant);
+				return {
+					...product.toJSON(),
+					quantity: item.quantity,
+					variantId: variant?._id || null,
+					sku: variant?.sku || null,
+					variantLabel: variantLabel(variant),
+					price: priceIn(product, variant, req.currency),
+					regularPrice: listPriceIn(product, variant, req.currency),
+					currency: req.currency?.code || BASE_CURRENCY,
+					image: displayImage(product, variant),
+					available: availableStock(product, variant?._id),
+				};
+			})
+			.filter(Boolean);
 
 		res.json(cartItems);
 	} catch (error) {
@@ -19,19 +41,17 @@ export const getCartProducts = async (req, res) => {
 
 export const addToCart = async (req, res) => {
 	try {
-		const { productId } = req.body;
-		const user = req.user;
+		const { productId, variantId = null } = req.body;
+		const cart = req.cart;
 
-		const existingItem = user.cartItems.find((item) => item.id === productId);
-		if (existingItem) {
-			existingItem.quantity += 1;
-		} else {
-			user.cartItems.push(productId);
-		}
+		await addItemToCart(cart.items, productId, variantId, { user: req.user });
 
-		await user.save();
-		res.json(user.cartItems);
+		await cart.save();
+		res.json(cart.items);
 	} catch (error) {
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
 		console.log("Error in addToCart controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
@@ -39,15 +59,17 @@ export const addToCart = async (req, res) => {
 
 export const removeAllFromCart = async (req, res) => {
 	try {
-		const { productId } = req.body;
-		const user = req.user;
+		const { productId, variantId } = req.body;
+		const cart = req.cart;
 		if (!productId) {
-			user.cartItems = [];
+			cart.items = [];
+		} else if (variantId) {
+			cart.items = cart.items.filter((item) => !isSameLine(item, productId, variantId));
 		} else {
-			user.cartItems = user.cartItems.filter((item) => item.id !== productId);
+			cart.items = cart.items.filter((item) => cartItemProductId(item) !== productId);
 		}
-		await user.save();
-		res.json(user.cartItems);
+		await cart.save();
+		res.json(cart.items);
 	} catch (error) {
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
@@ -56,25 +78,59 @@ export const removeAllFromCart = async (req, res) => {
 export const updateQuantity = async (req, res) => {
 	try {
 		const { id: productId } = req.params;
-		const { quantity } = req.body;
-		const user = req.user;
-		const existingItem = user.cartItems.find((item) => item.id === productId);
+		const { quantity, variantId = null } = req.body;
+		const cart = req.cart;
+		if (!isValidQuantity(quantity)) {
+			return res.status(400).json({ message: "Quantity must be a whole number of zero or more", code: "INVALID_QUANTITY" });
+		}
+		const existingItem = cart.items.find((item) => isSameLine(item, productId, variantId));
 
 		if (existingItem) {
 			if (quantity === 0) {
-				user.cartItems = user.cartItems.filter((item) => item.id !== productId);
-				await user.save();
-				return res.json(user.cartItems);
+				cart.items = cart.items.filter((item) => item !== existingItem);
+				await cart.save();
+				return res.json(cart.items);
 			}
 
+			const product = await Product.findById(productId);
+			await validateLine(product, variantId, quantity, { user: req.user, cartItems: cart.items });
+
 			existingItem.quantity = quantity;
-			await user.save();
-			res.json(user.cartItems);
+			await cart.save();
+			res.json(cart.items);
 		} else {
 			res.status(404).json({ message: "Product not found" });
 		}
 	} catch (error) {
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
 		console.log("Error in updateQuantity controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
+
+export const createQuote = async (req, res) => {
+	try {
+		const { couponCode, redeemPoints, giftCardCodes, useStoreCredit } = req.body;
+
+		const quote = await buildQuote({
+			user: req.user,
+			items: req.cart.items,
+			currency: req.currency,
+			couponCode,
+			redeemPoints,
+			giftCardCodes: [].concat(giftCardCodes || []),
+			useStoreCredit: Boolean(useStoreCredit),
+		});
+		const { quoteId, paymentId, expiresAt } = await saveQuote(quote);
+
+		res.status(201).json({ quoteId, paymentId, expiresAt, ...quote });
+	} catch (error) {
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in createQuote controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
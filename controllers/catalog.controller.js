@@ -0,0 +1,240 @@
+import { once } from "events";
+import { parse } from "csv-parse/sync";
+import { stringify } from "csv-stringify";
+import cloudinary from "../lib/cloudinary.js";
+import { evaluateAlertsInBackground } from "../lib/alerts.js";
+import { findCategory } from "../lib/categories.js";
+import { capturePricing, recordPriceChanges } from "../lib/pricing.js";
+import Product from "../models/product.model.js";
+import { updateFeaturedProductsCache } from "./product.controller.js";
+
+const CATALOG_COLUMNS = [
+	"sku",
+	"name",
+	"description",
+	"price",
+	"salePrice",
+	"saleStartsAt",
+	"saleEndsAt",
+	"category",
+	"stock",
+	"isFeatured",
+	"image",
+];
+const MAX_IMPORT_ROWS = 5000;
+
+export const importProducts = async (req, res) => {
+	try {
+		if (!req.file) {
+			return res.status(400).json({ message: "Upload a CSV or JSON file in the file field" });
+		}
+
+		const dryRun = req.query.dryRun === "true" || req.body.dryRun === "true";
+
+		let rows;
+		try {
+			rows = parseCatalogFile(req.file);
+		} catch (parseError) {
+			return res.status(400).json({ message: "Could not read the file", error: parseError.message });
+		}
+
+		if (rows.length > MAX_IMPORT_ROWS) {
+			return res.status(400).json({ message: `Files are limited to ${MAX_IMPORT_ROWS} rows` });
+		}
+
+		const summary = { created: 0, updated: 0, failed: 0 };
+		const results = [];
+		let featuredTouched = false;
+		const updatedIds = [];
+
+		// rows are numbered the way a spreadsheet shows them, the header is row 1
+		for (const [index, raw] of rows.entries()) {
+			const row = index + 2;
+			const { data, errors } = await normalizeRow(raw);
+
+			if (errors.length) {
+				summary.failed++;
+				results.push({ row, status: "failed", errors });
+				continue;
+			}
+
+			const existing = data.sku
+				? await Product.findOne({ sku: data.sku })
+				: await Product.findOne({ name: new RegExp(`^${escapeRegex(data.name)}$`, "i") });
+			const action = existing ? "updated" : "created";
+
+			if (dryRun) {
+				summary[action]++;
+				results.push({ row, status: action, productId: existing?._id || null });
+				continue;
+			}
+
+			try {
+				const product = existing || new Product();
+				const wasFeatured = product.isFeatured;
+				const pricingBefore = existing ? capturePricing(existing) : {};
+
+				if (data.image && data.image !== product.image) {
+					const cloudinaryResponse = await cloudinary.uploader.upload(data.image, {
+						folder: "products",
+						resource_type: "auto",
+					});
+					data.image = cloudinaryResponse.secure_url;
+				}
+
+				product.set(data);
+				await product.save();
+				await recordPriceChanges(pricingBefore, product, { userId: req.user._id, source: "import" });
+
+				featuredTouched = featuredTouched || wasFeatured || product.isFeatured;
+				if (existing) updatedIds.push(product._id);
+				summary[action]++;
+				results.push({ row, status: action, productId: product._id });
+			} catch (rowError) {
+				summary.failed++;
+				results.push({ row, status: "failed", errors: [rowError.message] });
+			}
+		}
+
+		if (featuredTouched) {
+			await updateFeaturedProductsCache();
+		}
+		if (updatedIds.length) {
+			evaluateAlertsInBackground(updatedIds);
+		}
+
+		res.json({ dryRun, total: rows.length, ...summary, results });
+	} catch (error) {
+		console.log("Error in importProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const exportProducts = async (req, res) => {
+	try {
+		res.setHeader("Content-Type", "text/csv; charset=utf-8");
+		res.setHeader("Content-Disposition", `attachment; filename="products-${new Date().toISOString().split("T")[0]}.csv"`);
+
+		const csv = stringify({
+			header: true,
+			columns: CATALOG_COLUMNS,
+			cast: { date: (value) => value.toISOString() },
+		});
+		csv.pipe(res);
+
+		// stream documents straight through so large catalogs never sit in memory
+		for await (const product of Product.find({}).sort({ createdAt: 1 }).lean().cursor()) {
+			if (!csv.write(CATALOG_COLUMNS.map((column) => product[column] ?? ""))) {
+				await once(csv, "drain");
+			}
+		}
+		csv.end();
+	} catch (error) {
+		console.log("Error in exportProducts controller", error.message);
+		if (!res.headersSent) {
+			res.status(500).json({ message: "Server error", error: error.message });
+		} else {
+			res.end();
+		}
+	}
+};
+
+function parseCatalogFile(file) {
+	const content = file.buffer.toString("utf8");
+
+	if (/\.json$/i.test(file.originalname) || file.mimetype === "application/json") {
+		const parsed = JSON.parse(content);
+		const rows = Array.isArray(parsed) ? parsed : parsed.products;
+		if (!Array.isArray(rows)) {
+			throw new Error("Expected an array of products or { products: [...] }");
+		}
+		return rows;
+	}
+
+	return parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+}
+
+// validates one row and converts the spreadsheet strings into product fields
+async function normalizeRow(raw) {
+	const errors = [];
+	const data = {};
+	const value = (key) => (raw[key] === undefined || raw[key] === null ? "" : String(raw[key]).trim());
+
+	if (value("sku")) data.sku = value("sku");
+
+	if (!value("name")) {
+		errors.push("name is required");
+	} else {
+		data.name = value("name");
+	}
+
+	if (value("description")) data.description = value("description");
+
+	const price = Number(value("price"));
+	if (!value("price") || isNaN(price) || price < 0) {
+		errors.push("price must be a non-negative number");
+	} else {
+		data.price = price;
+	}
+
+	if (value("salePrice")) {
+		const salePrice = Number(value("salePrice"));
+		if (isNaN(salePrice) || salePrice < 0) {
+			errors.push("salePrice must be a non-negative number");
+		} else {
+			data.salePrice = salePrice;
+		}
+	}
+
+	for (const field of ["saleStartsAt", "saleEndsAt"]) {
+		if (value(field)) {
+			const date = new Date(value(field));
+			if (isNaN(date)) {
+				errors.push(`${field} must be a valid date`);
+			} else {
+				data[field] = date;
+			}
+		}
+	}
+	if (data.saleStartsAt && data.saleEndsAt && data.saleEndsAt <= data.saleStartsAt) {
+		errors.push("saleEndsAt must be after saleStartsAt");
+	}
+
+	if (!value("category")) {
+		errors.push("category is required");
+	} else {
+		const category = await findCategory(value("category"));
+		if (category) {
+			data.category = category.slug;
+		} else {
+			errors.push(`unknown category ${value("category")}`);
+		}
+	}
+
+	if (value("stock")) {
+		const stock = Number(value("stock"));
+		if (!Number.isInteger(stock) || stock < 0) {
+			errors.push("stock must be a non-negative integer");
+		} else {
+			data.stock = stock;
+		}
+	}
+
+	if (value("isFeatured")) {
+		data.isFeatured = ["true", "1", "yes"].includes(value("isFeatured").toLowerCase());
+	}
+
+	if (value("image")) {
+		if (!/^https?:\/\//i.test(value("image"))) {
+			errors.push("image must be an http(s) URL");
+		} else {
+			data.image = value("image");
+		}
+	}
+
+	return { data, errors };
+}
+
+function escapeRegex(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,168 @@
+import cloudinary from "../lib/cloudinary.js";
+import Category from "../models/category.model.js";
+import Product from "../models/product.model.js";
+import { createsCycle, getCategoryTree, invalidateCategoryTree, slugify } from "../lib/categories.js";
+
+export const getCategories = async (req, res) => {
+	try {
+		const tree = await getCategoryTree();
+		res.json(tree);
+	} catch (error) {
+		console.log("Error in getCategories controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createCategory = async (req, res) => {
+	try {
+		const { name, slug, parent, displayOrder, image } = req.body;
+
+		if (!name) {
+			return res.status(400).json({ message: "Name is required" });
+		}
+
+		const finalSlug = slugify(slug || name);
+		if (await Category.exists({ slug: finalSlug })) {
+			return res.status(400).json({ message: `Category ${finalSlug} already exists` });
+		}
+
+		if (parent && !(await Category.exists({ _id: parent }))) {
+			return res.status(400).json({ message: "Parent category not found" });
+		}
+
+		const imageUrl = image ? await uploadCategoryImage(image) : "";
+		if (imageUrl === null) {
+			return res.status(400).json({ message: "Image upload failed" });
+		}
+
+		const category = await Category.create({
+			name,
+			slug: finalSlug,
+			parent: parent || null,
+			displayOrder: displayOrder || 0,
+			image: imageUrl,
+		});
+
+		await invalidateCategoryTree();
+
+		res.status(201).json(category);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in createCategory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const updateCategory = async (req, res) => {
+	try {
+		const category = await Category.findById(req.params.id);
+		if (!category) {
+			return res.status(404).json({ message: "Category not found" });
+		}
+
+		const { name, slug, parent, displayOrder, image } = req.body;
+
+		if (parent !== undefined && parent !== null) {
+			if (!(await Category.exists({ _id: parent }))) {
+				return res.status(400).json({ message: "Parent category not found" });
+			}
+			if (await createsCycle(category._id, parent)) {
+				return res.status(400).json({ message: "A category cannot be moved below itself" });
+			}
+		}
+
+		const oldSlug = category.slug;
+		if (slug !== undefined) {
+			const newSlug = slugify(slug);
+			if (newSlug !== oldSlug && (await Category.exists({ slug: newSlug }))) {
+				return res.status(400).json({ message: `Category ${newSlug} already exists` });
+			}
+			category.slug = newSlug;
+		}
+		if (name !== undefined) category.name = name;
+		if (parent !== undefined) category.parent = parent || null;
+		if (displayOrder !== undefined) category.displayOrder = displayOrder;
+
+		const oldImage = category.image;
+		if (image && image !== oldImage) {
+			const imageUrl = await uploadCategoryImage(image);
+			if (imageUrl === null) {
+				return res.status(400).json({ message: "Image upload failed" });
+			}
+			category.image = imageUrl;
+		}
+
+		await category.save();
+
+		// products point at the slug, move them along with a rename
+		if (category.slug !== oldSlug) {
+			await Product.updateMany({ category: oldSlug }, { category: category.slug });
+		}
+		if (oldImage && category.image !== oldImage) {
+			await destroyCategoryImage(oldImage);
+		}
+
+		await invalidateCategoryTree();
+
+		res.json(category);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in updateCategory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deleteCategory = async (req, res) => {
+	try {
+		const category = await Category.findById(req.params.id);
+		if (!category) {
+			return res.status(404).json({ message: "Category not found" });
+		}
+
+		if (await Category.exists({ parent: category._id })) {
+			return res.status(400).json({ message: "Move or delete the subcategories first" });
+		}
+		const productCount = await Product.countDocuments({ category: category.slug });
+		if (productCount > 0) {
+			return res.status(400).json({ message: `${productCount} product(s) still use this category` });
+		}
+
+		if (category.image) {
+			await destroyCategoryImage(category.image);
+		}
+		await category.deleteOne();
+		await invalidateCategoryTree();
+
+		res.json({ message: "Category deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteCategory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// null when the upload failed
+async function uploadCategoryImage(image) {
+	try {
+		const cloudinaryResponse = await cloudinary.uploader.upload(image, {
+			folder: "categories",
+			resource_type: "auto",
+		});
+		return cloudinaryResponse.secure_url;
+	} catch (uploadError) {
+		console.error("Error uploading category image to Cloudinary:", uploadError);
+		return null;
+	}
+}
+
+async function destroyCategoryImage(imageUrl) {
+	const publicId = imageUrl.split("/").pop().split(".")[0];
+	try {
+		await cloudinary.uploader.destroy(`categories/${publicId}`);
+	} catch (error) {
+		console.log("error deleting category image from cloudinary", error);
+	}
+}
@@ -1,8 +1,37 @@
 import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import Product from "../models/product.model.js";
+import { CartError, cartItemProductId } from "../lib/cart.js";
+import { assertCouponUsable, describeCoupon, findCouponByCode } from "../lib/coupons.js";
+import { effectivePrice } from "../lib/pricing.js";
+import { findVariant } from "../lib/variants.js";
+
+const COUPON_FIELDS = [
+	"code",
+	"description",
+	"discountType",
+	"discountPercentage",
+	"discountAmount",
+	"minOrderValue",
+	"startsAt",
+	"expirationDate",
+	"isActive",
+	"userId",
+	"maxRedemptions",
+	"maxRedemptionsPerUser",
+];
+const PAGE_SIZE = 50;
 
 export const getCoupon = async (req, res) => {
 	try {
-		const coupon = await Coupon.findOne({ userId: req.user._id, isActive: true });
+		const coupon = await Coupon.findOne({
+			userId: req.user._id,
+			isActive: true,
+			$and: [
+				{ $or: [{ expirationDate: null }, { expirationDate: { $gt: new Date() } }] },
+				{ $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }] },
+			],
+		}).sort({ createdAt: -1 });
 		res.json(coupon || null);
 	} catch (error) {
 		console.log("Error in getCoupon controller", error.message);
@@ -13,25 +42,169 @@ export const getCoupon = async (req, res) => {
 export const validateCoupon = async (req, res) => {
 	try {
 		const { code } = req.body;
-		const coupon = await Coupon.findOne({ code: code, userId: req.user._id, isActive: true });
+		const coupon = await findCouponByCode(code);
+
+		// minimum spend is checked against the cart as it is now, checkout checks it again
+		await assertCouponUsable(coupon, req.user, await cartSubtotal(req.user.cartItems));
+
+		res.json({
+			message: "Coupon is valid",
+			code: coupon.code,
+			description: describeCoupon(coupon),
+			discountType: coupon.discountType,
+			discountPercentage: coupon.discountPercentage,
+			discountAmount: coupon.discountAmount,
+			minOrderValue: coupon.minOrderValue,
+		});
+	} catch (error) {
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in validateCoupon controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getAllCoupons = async (req, res) => {
+	try {
+		const { search, active, page = 1 } = req.query;
+		const filter = {};
+		if (search) {
+			filter.code = { $regex: String(search).toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&") };
+		}
+		if (active !== undefined) {
+			filter.isActive = active === "true";
+		}
+		// personal coupons handed out by the store are hidden unless asked for
+		if (req.query.personal !== "true") {
+			filter.userId = null;
+		}
+
+		const skip = (Math.max(Number(page) || 1, 1) - 1) * PAGE_SIZE;
+		const [coupons, total] = await Promise.all([
+			Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(PAGE_SIZE),
+			Coupon.countDocuments(filter),
+		]);
+
+		res.json({ coupons, total, page: Number(page) || 1, pages: Math.ceil(total / PAGE_SIZE) });
+	} catch (error) {
+		console.log("Error in getAllCoupons controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createCoupon = async (req, res) => {
+	try {
+		const data = pickCouponFields(req.body);
+		if (!data.code) {
+			return res.status(400).json({ message: "Code is required" });
+		}
+		if (await findCouponByCode(data.code)) {
+			return res.status(400).json({ message: `Coupon ${data.code.toUpperCase()} already exists` });
+		}
+
+		const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+		res.status(201).json(coupon);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in createCoupon controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const updateCoupon = async (req, res) => {
+	try {
+		const coupon = await Coupon.findById(req.params.id);
+		if (!coupon) {
+			return res.status(404).json({ message: "Coupon not found" });
+		}
+
+		const data = pickCouponFields(req.body);
+		if (data.code !== undefined && (typeof data.code !== "string" || !data.code.trim())) {
+			return res.status(400).json({ message: "Code must be a non-empty string" });
+		}
+		// the code is printed on marketing material and recorded on redemptions, it can't change once used
+		if (data.code !== undefined && data.code.toUpperCase() !== coupon.code && coupon.redemptionCount > 0) {
+			return res.status(400).json({ message: "The code of a coupon that has been used can't be changed" });
+		}
+		if (data.maxRedemptions && data.maxRedemptions < coupon.redemptionCount) {
+			return res.status(400).json({ message: `This coupon has already been used ${coupon.redemptionCount} times` });
+		}
 
+		coupon.set(data);
+		await coupon.save();
+		res.json(coupon);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		if (error.code === 11000) {
+			return res.status(400).json({ message: "Another coupon already uses this code" });
+		}
+		console.log("Error in updateCoupon controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deleteCoupon = async (req, res) => {
+	try {
+		const coupon = await Coupon.findById(req.params.id);
 		if (!coupon) {
 			return res.status(404).json({ message: "Coupon not found" });
 		}
 
-		if (coupon.expirationDate < new Date()) {
+		// used coupons are only deactivated so the redemption log keeps pointing at them
+		if (await CouponRedemption.exists({ coupon: coupon._id })) {
 			coupon.isActive = false;
 			await coupon.save();
-			return res.status(404).json({ message: "Coupon expired" });
+			return res.json({ message: "Coupon deactivated", coupon });
 		}
 
-		res.json({
-			message: "Coupon is valid",
-			code: coupon.code,
-			discountPercentage: coupon.discountPercentage,
-		});
+		await coupon.deleteOne();
+		res.json({ message: "Coupon deleted successfully" });
 	} catch (error) {
-		console.log("Error in validateCoupon controller", error.message);
+		console.log("Error in deleteCoupon controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getCouponRedemptions = async (req, res) => {
+	try {
+		const coupon = await Coupon.findById(req.params.id);
+		if (!coupon) {
+			return res.status(404).json({ message: "Coupon not found" });
+		}
+
+		const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+			.sort({ createdAt: -1 })
+			.populate("user", "name email")
+			.populate("order", "totalAmount currency chargedAmount status createdAt");
+
+		res.json({ coupon, redemptions });
+	} catch (error) {
+		console.log("Error in getCouponRedemptions controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
+
+function pickCouponFields(body) {
+	const data = {};
+	for (const field of COUPON_FIELDS) {
+		if (body[field] !== undefined) {
+			data[field] = body[field] === "" ? null : body[field];
+		}
+	}
+	return data;
+}
+
+// base currency subtotal of a cart at today's prices
+async function cartSubtotal(cartItems) {
+	const products = await Product.find({ _id: { $in: cartItems.map(cartItemProductId) } });
+
+	return cartItems.reduce((sum, item) => {
+		const product = products.find((p) => p.id === cartItemProductId(item));
+		return product ? sum + effectivePrice(product, findVariant(product, item.variant)) * item.quantity : sum;
+	}, 0);
+}
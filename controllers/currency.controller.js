@@ -0,0 +1,138 @@
+import { parse } from "csv-parse/sync";
+import ExchangeRate from "../models/exchangeRate.model.js";
+import { BASE_CURRENCY, invalidateRates, isZeroDecimal } from "../lib/currency.js";
+
+export const getCurrencies = async (req, res) => {
+	try {
+		const rates = await ExchangeRate.find({}).sort({ currency: 1 }).lean();
+
+		res.json({
+			base: BASE_CURRENCY,
+			currencies: [
+				{ currency: BASE_CURRENCY, rate: 1, zeroDecimal: isZeroDecimal(BASE_CURRENCY) },
+				...rates
+					.filter((rate) => rate.currency !== BASE_CURRENCY)
+					.map((rate) => ({
+						currency: rate.currency,
+						rate: rate.rate,
+						zeroDecimal: isZeroDecimal(rate.currency),
+						updatedAt: rate.updatedAt,
+					})),
+			],
+		});
+	} catch (error) {
+		console.log("Error in getCurrencies controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const setExchangeRate = async (req, res) => {
+	try {
+		const currency = req.params.currency.toLowerCase();
+		const rate = Number(req.body.rate);
+
+		const error = validateRate(currency, rate);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+
+		const exchangeRate = await ExchangeRate.findOneAndUpdate(
+			{ currency },
+			{ rate, source: "manual", updatedBy: req.user._id },
+			{ new: true, upsert: true, runValidators: true }
+		);
+		await invalidateRates();
+
+		res.json(exchangeRate);
+	} catch (error) {
+		console.log("Error in setExchangeRate controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deleteExchangeRate = async (req, res) => {
+	try {
+		const deleted = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toLowerCase() });
+		if (!deleted) {
+			return res.status(404).json({ message: "Exchange rate not found" });
+		}
+		await invalidateRates();
+
+		res.json({ message: "Exchange rate deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteExchangeRate controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// accepts a JSON array of { currency, rate }, a JSON object { rates: { eur: 0.92 } } or a CSV with currency,rate columns
+export const importExchangeRates = async (req, res) => {
+	try {
+		if (!req.file) {
+			return res.status(400).json({ message: "Upload a CSV or JSON file in the file field" });
+		}
+
+		let rows;
+		try {
+			rows = parseRatesFile(req.file);
+		} catch (parseError) {
+			return res.status(400).json({ message: "Could not read the file", error: parseError.message });
+		}
+
+		const errors = [];
+		const valid = [];
+		rows.forEach((row, index) => {
+			const currency = String(row.currency || "").trim().toLowerCase();
+			const rate = Number(row.rate);
+			const error = validateRate(currency, rate);
+			if (error) {
+				errors.push({ row: index + 1, error });
+			} else {
+				valid.push({ currency, rate });
+			}
+		});
+
+		// all or nothing, a half applied rate table is worse than the old one
+		if (errors.length) {
+			return res.status(400).json({ message: "Some rates are invalid, nothing was imported", errors });
+		}
+
+		await ExchangeRate.bulkWrite(
+			valid.map(({ currency, rate }) => ({
+				updateOne: {
+					filter: { currency },
+					update: { rate, source: "import", updatedBy: req.user._id },
+					upsert: true,
+				},
+			}))
+		);
+		await invalidateRates();
+
+		res.json({ message: `Imported ${valid.length} exchange rate(s)`, imported: valid.length });
+	} catch (error) {
+		console.log("Error in importExchangeRates controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+function validateRate(currency, rate) {
+	if (!/^[a-z]{3}$/.test(currency)) return `${currency || "(empty)"} is not a valid currency code`;
+	if (currency === BASE_CURRENCY) return `${currency} is the base currency, its rate is always 1`;
+	if (!rate || isNaN(rate) || rate <= 0) return `Rate for ${currency} must be a positive number`;
+	return null;
+}
+
+function parseRatesFile(file) {
+	const content = file.buffer.toString("utf8");
+
+	if (/\.json$/i.test(file.originalname) || file.mimetype === "application/json") {
+		const parsed = JSON.parse(content);
+		if (Array.isArray(parsed)) return parsed;
+		if (parsed.rates && typeof parsed.rates === "object") {
+			return Object.entries(parsed.rates).map(([currency, rate]) => ({ currency, rate }));
+		}
+		throw new Error("Expected an array of { currency, rate } or { rates: { ... } }");
+	}
+
+	return parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+}
@@ -0,0 +1,130 @@
+import GiftCard from "../models/giftCard.model.js";
+import CreditTransaction from "../models/creditTransaction.model.js";
+import { findGiftCard, isGiftCardUsable, issueGiftCard } from "../lib/credit.js";
+import { BASE_CURRENCY } from "../lib/currency.js";
+
+const PAGE_SIZE = 50;
+
+export const getMyGiftCards = async (req, res) => {
+	try {
+		const giftCards = await GiftCard.find({ purchaser: req.user._id })
+			.sort({ createdAt: -1 })
+			.select("code initialBalance balance status expiresAt order createdAt");
+		res.json({ giftCards, currency: BASE_CURRENCY });
+	} catch (error) {
+		console.log("Error in getMyGiftCards controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getGiftCardBalance = async (req, res) => {
+	try {
+		const card = await findGiftCard(req.params.code);
+		if (!card) {
+			return res.status(404).json({ message: "Gift card not found" });
+		}
+
+		res.json({
+			code: card.code,
+			balance: card.balance,
+			currency: BASE_CURRENCY,
+			expiresAt: card.expiresAt,
+			usable: isGiftCardUsable(card),
+		});
+	} catch (error) {
+		console.log("Error in getGiftCardBalance controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getAllGiftCards = async (req, res) => {
+	try {
+		const { search, status, page = 1 } = req.query;
+		const filter = {};
+		if (search) {
+			filter.code = { $regex: String(search).replace(/[\s-]/g, "").toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&") };
+		}
+		if (status) {
+			filter.status = status;
+		}
+
+		const skip = (Math.max(Number(page) || 1, 1) - 1) * PAGE_SIZE;
+		const [giftCards, total] = await Promise.all([
+			GiftCard.find(filter).sort({ createdAt: -1 }).skip(skip).limit(PAGE_SIZE).populate("purchaser", "name email"),
+			GiftCard.countDocuments(filter),
+		]);
+
+		res.json({ giftCards, total, page: Number(page) || 1, pages: Math.ceil(total / PAGE_SIZE) });
+	} catch (error) {
+		console.log("Error in getAllGiftCards controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getGiftCard = async (req, res) => {
+	try {
+		const giftCard = await GiftCard.findById(req.params.id)
+			.populate("purchaser", "name email")
+			.populate("issuedBy", "name email");
+		if (!giftCard) {
+			return res.status(404).json({ message: "Gift card not found" });
+		}
+
+		const transactions = await CreditTransaction.find({ giftCard: giftCard._id })
+			.sort({ createdAt: -1 })
+			.populate("user", "name email")
+			.populate("order", "totalAmount currency chargedAmount status createdAt");
+
+		res.json({ giftCard, transactions });
+	} catch (error) {
+		console.log("Error in getGiftCard controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createGiftCard = async (req, res) => {
+	try {
+		const { amount, expiresAt, note } = req.body;
+		if (!(Number(amount) > 0)) {
+			return res.status(400).json({ message: "Amount must be a positive number" });
+		}
+
+		const giftCard = await issueGiftCard({
+			amount: Number(amount),
+			expiresAt: expiresAt || null,
+			note,
+			issuedBy: req.user._id,
+		});
+		res.status(201).json(giftCard);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in createGiftCard controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// balances only move through the ledger, an admin can disable a card or change its expiry and note
+export const updateGiftCard = async (req, res) => {
+	try {
+		const giftCard = await GiftCard.findById(req.params.id);
+		if (!giftCard) {
+			return res.status(404).json({ message: "Gift card not found" });
+		}
+
+		const { status, expiresAt, note } = req.body;
+		if (status !== undefined) giftCard.status = status;
+		if (expiresAt !== undefined) giftCard.expiresAt = expiresAt || null;
+		if (note !== undefined) giftCard.note = note;
+
+		await giftCard.save();
+		res.json(giftCard);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in updateGiftCard controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
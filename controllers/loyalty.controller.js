@@ -0,0 +1,51 @@
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import { POINTS_PER_UNIT, POINT_VALUE, pointsValue, tierFor } from "../lib/loyalty.js";
+
+const PAGE_SIZE = 20;
+const EXPIRY_NOTICE_DAYS = 30;
+
+export const getLoyalty = async (req, res) => {
+	try {
+		const page = Math.max(Number(req.query.page) || 1, 1);
+		const user = req.user;
+
+		const [transactions, total, expiring] = await Promise.all([
+			LoyaltyTransaction.find({ user: user._id })
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * PAGE_SIZE)
+				.limit(PAGE_SIZE)
+				.select("-remaining -reference"),
+			LoyaltyTransaction.countDocuments({ user: user._id }),
+			LoyaltyTransaction.aggregate([
+				{
+					$match: {
+						user: user._id,
+						type: "earn",
+						remaining: { $gt: 0 },
+						expiresAt: { $lte: new Date(Date.now() + EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000) },
+					},
+				},
+				{ $group: { _id: null, points: { $sum: "$remaining" }, nextExpiry: { $min: "$expiresAt" } } },
+			]),
+		]);
+
+		const { tier, next } = tierFor(user.loyaltyLifetimePoints);
+		res.json({
+			balance: user.loyaltyPoints || 0,
+			balanceValue: pointsValue(user.loyaltyPoints || 0),
+			lifetimePoints: user.loyaltyLifetimePoints || 0,
+			tier: tier.name,
+			multiplier: tier.multiplier,
+			nextTier: next ? { name: next.name, pointsNeeded: next.minPoints - (user.loyaltyLifetimePoints || 0) } : null,
+			pointsPerUnit: POINTS_PER_UNIT,
+			pointValue: POINT_VALUE,
+			expiringSoon: expiring[0] ? { points: expiring[0].points, nextExpiry: expiring[0].nextExpiry } : null,
+			transactions,
+			page,
+			pages: Math.ceil(total / PAGE_SIZE),
+		});
+	} catch (error) {
+		console.log("Error in getLoyalty controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
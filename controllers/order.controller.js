@@ -0,0 +1,357 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import { BASE_CURRENCY } from "../lib/currency.js";
+import { ORDER_TRANSITIONS, OrderError, transitionOrder } from "../lib/orders.js";
+import { CANCELLABLE_STATUSES, cancelOrder, refundOrder, refundableAmount } from "../lib/refunds.js";
+import { displayImage, displayName, findVariant } from "../lib/variants.js";
+
+const PAGE_SIZE = 10;
+const ADMIN_PAGE_SIZE = 50;
+const ORDER_STATUSES = Order.schema.path("status").enumValues;
+const PAYMENT_METHODS = Order.schema.path("paymentMethod").enumValues;
+
+export const getMyOrders = async (req, res) => {
+	try {
+		const { status } = req.query;
+		const page = Math.max(Number(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(Number(req.query.limit) || PAGE_SIZE, 1), 50);
+
+		const filter = { user: req.user._id };
+		if (status) {
+			const statuses = String(status).split(",");
+			if (statuses.some((s) => !ORDER_STATUSES.includes(s))) {
+				return res.status(400).json({ message: `Status must be one of ${ORDER_STATUSES.join(", ")}` });
+			}
+			filter.status = { $in: statuses };
+		}
+
+		const [orders, total] = await Promise.all([
+			Order.find(filter)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.populate("products.product", "name image category variants"),
+			Order.countDocuments(filter),
+		]);
+
+		res.json({
+			orders: orders.map((order) => formatOrder(order)),
+			total,
+			page,
+			pages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		console.log("Error in getMyOrders controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getMyOrder = async (req, res) => {
+	try {
+		const isAdmin = req.user.role === "admin";
+		// a malformed id can't match anything, and would make mongoose throw a CastError
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+		// someone else's order is reported as missing rather than forbidden, admins can open any order
+		const order = await Order.findOne({ _id: req.params.id, ...(isAdmin ? {} : { user: req.user._id }) })
+			.populate("products.product", "name image category variants")
+			.populate("giftCardsIssued", "code initialBalance balance status expiresAt")
+			.populate(
+				isAdmin
+					? [
+							{ path: "user", select: "name email" },
+							{ path: "statusHistory.changedBy", select: "name email" },
+					  ]
+					: []
+			);
+		if (!order) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+
+		res.json(isAdmin ? formatAdminOrder(order) : formatOrder(order, { detailed: true }));
+	} catch (error) {
+		console.log("Error in getMyOrder controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getAllOrders = async (req, res) => {
+	try {
+		const { status, paymentMethod, search, from, to } = req.query;
+		const page = Math.max(Number(req.query.page) || 1, 1);
+
+		const filter = {};
+		if (status) {
+			const statuses = String(status).split(",");
+			if (statuses.some((s) => !ORDER_STATUSES.includes(s))) {
+				return res.status(400).json({ message: `Status must be one of ${ORDER_STATUSES.join(", ")}` });
+			}
+			filter.status = { $in: statuses };
+		}
+		if (paymentMethod) {
+			if (!PAYMENT_METHODS.includes(paymentMethod)) {
+				return res.status(400).json({ message: `Payment method must be one of ${PAYMENT_METHODS.join(", ")}` });
+			}
+			filter.paymentMethod = paymentMethod;
+		}
+		if (req.query.needsReview === "true") {
+			filter["reviewReasons.0"] = { $exists: true };
+		}
+		if (from || to) {
+			const range = { $gte: from, $lte: to };
+			filter.createdAt = {};
+			for (const [operator, value] of Object.entries(range)) {
+				if (!value) continue;
+				const date = new Date(value);
+				if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+					return res.status(400).json({ message: "from and to must be valid dates" });
+				}
+				filter.createdAt[operator] = date;
+			}
+		}
+		if (search) {
+			filter.$or = await searchConditions(String(search).trim());
+		}
+
+		const [orders, total] = await Promise.all([
+			Order.find(filter)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * ADMIN_PAGE_SIZE)
+				.limit(ADMIN_PAGE_SIZE)
+				.populate("user", "name email")
+				.populate("products.product", "name image category variants"),
+			Order.countDocuments(filter),
+		]);
+
+		res.json({
+			orders: orders.map((order) => ({ ...formatOrder(order), user: order.user })),
+			total,
+			page,
+			pages: Math.ceil(total / ADMIN_PAGE_SIZE),
+		});
+	} catch (error) {
+		console.log("Error in getAllOrders controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const updateOrderStatus = async (req, res) => {
+	try {
+		const { status, trackingNumber, note } = req.body;
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+		const order = await Order.findById(req.params.id);
+		if (!order) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+
+		// cancelling also refunds the order and puts its stock back
+		const updated =
+			status === "cancelled" && order.status !== "cancelled"
+				? await cancelOrder(order, { changedBy: req.user._id, reason: note })
+				: await transitionOrder(order, status, { changedBy: req.user._id, trackingNumber, note });
+		await updated.populate([
+			{ path: "user", select: "name email" },
+			{ path: "products.product", select: "name image category variants" },
+			{ path: "giftCardsIssued", select: "code initialBalance balance status expiresAt" },
+			{ path: "statusHistory.changedBy", select: "name email" },
+		]);
+		res.json(formatAdminOrder(updated));
+	} catch (error) {
+		if (error instanceof OrderError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in updateOrderStatus controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const cancelMyOrder = async (req, res) => {
+	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+		const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+		if (!order) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+		if (order.status !== "cancelled" && !CANCELLABLE_STATUSES.includes(order.status)) {
+			return res.status(409).json({
+				message: `An order that is ${order.status} can't be cancelled any more`,
+				code: "ORDER_NOT_CANCELLABLE",
+			});
+		}
+		// the codes have already been delivered, support has to look at these
+		if (order.giftCardsIssued.length) {
+			return res.status(409).json({
+				message: "Orders with gift cards can't be cancelled, please contact support",
+				code: "ORDER_NOT_CANCELLABLE",
+			});
+		}
+
+		const cancelled = await cancelOrder(order, { changedBy: req.user._id, reason: req.body.reason });
+		await cancelled.populate([
+			{ path: "products.product", select: "name image category variants" },
+			{ path: "giftCardsIssued", select: "code initialBalance balance status expiresAt" },
+		]);
+		res.json(formatOrder(cancelled, { detailed: true }));
+	} catch (error) {
+		if (error instanceof OrderError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in cancelMyOrder controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createRefund = async (req, res) => {
+	try {
+		const { amount, reason, items, restock } = req.body;
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+		const order = await Order.findById(req.params.id);
+		if (!order) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+
+		// two refunds of the same amount can both be genuine, only the caller knows a retry from a new one
+		const reference = req.get("Idempotency-Key") || req.body.idempotencyKey;
+		if (!reference || typeof reference !== "string") {
+			return res.status(400).json({
+				message: "An Idempotency-Key header is required, reuse it when retrying the same refund",
+				code: "IDEMPOTENCY_KEY_REQUIRED",
+			});
+		}
+
+		const result = await refundOrder(order, {
+			reference,
+			amount,
+			reason,
+			items: items || [],
+			restockAll: restock === true,
+			createdBy: req.user._id,
+		});
+		await result.order.populate([
+			{ path: "user", select: "name email" },
+			{ path: "products.product", select: "name image category variants" },
+			{ path: "giftCardsIssued", select: "code initialBalance balance status expiresAt" },
+			{ path: "statusHistory.changedBy", select: "name email" },
+		]);
+
+		res.status(result.duplicate ? 200 : 201).json({ refund: result.refund, order: formatAdminOrder(result.order) });
+	} catch (error) {
+		if (error instanceof OrderError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in createRefund controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// what a customer sees of an order, line prices are in the base currency, the charge in the order's currency
+function formatOrder(order, { detailed = false } = {}) {
+	const summary = {
+		_id: order._id,
+		status: order.status,
+		createdAt: order.createdAt,
+		paymentMethod: order.paymentMethod,
+		currency: order.currency,
+		chargedAmount: order.chargedAmount,
+		totalAmount: order.totalAmount,
+		baseCurrency: BASE_CURRENCY,
+		items: order.products.map((line) => orderLine(line)),
+		trackingNumber: order.trackingNumber || null,
+		...(order.paymentMethod === "crypto" ? { transactionHash: order.transactionHash } : {}),
+	};
+	if (!detailed) return summary;
+
+	return {
+		...summary,
+		couponCode: order.couponCode || null,
+		discounts: order.discounts,
+		payments: order.payments.map(({ type, code, amount }) => ({ type, ...(code ? { code } : {}), amount })),
+		taxAmount: order.taxAmount,
+		shippingAmount: order.shippingAmount,
+		deliveryAddress: order.deliveryAddress || null,
+		...(order.paymentMethod === "crypto" ? { walletAddress: order.walletAddress } : {}),
+		giftCardsIssued: order.giftCardsIssued,
+		refundedAmount: order.refundedAmount || 0,
+		refunds: order.refunds
+			.filter((refund) => refund.status === "succeeded")
+			.map(({ amount, cardAmount, storeCreditAmount, reason, createdAt }) => ({
+				amount,
+				cardAmount,
+				storeCreditAmount,
+				reason,
+				createdAt,
+			})),
+		timeline: statusTimeline(order),
+	};
+}
+
+// admins also see who placed the order, who changed its status and where it can go next
+function formatAdminOrder(order) {
+	return {
+		...formatOrder(order, { detailed: true }),
+		user: order.user,
+		stripeSessionId: order.stripeSessionId || null,
+		paymentId: order.paymentId || null,
+		transactionHash: order.transactionHash || null,
+		walletAddress: order.walletAddress || null,
+		timeline: order.statusHistory.length
+			? order.statusHistory.map(({ status, at, changedBy, note }) => ({ status, at, changedBy, note }))
+			: statusTimeline(order),
+		refunds: order.refunds,
+		refundable: refundableAmount(order),
+		allowedTransitions: ORDER_TRANSITIONS[order.status] || [],
+		reviewReasons: order.reviewReasons,
+	};
+}
+
+// an order id, the customer's name or email, a tracking number, transaction hash or sku
+async function searchConditions(search) {
+	const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+	const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] }).select("_id").limit(200);
+
+	return [
+		...(mongoose.isValidObjectId(search) ? [{ _id: search }] : []),
+		{ user: { $in: users.map((user) => user._id) } },
+		{ trackingNumber: pattern },
+		{ transactionHash: pattern },
+		{ "products.sku": pattern },
+	];
+}
+
+// the line as it was bought, orders from before the snapshot fall back on the product as it is today
+function orderLine(line) {
+	const product = line.product?._id ? line.product : null;
+	const variant = product ? findVariant(product, line.variant) : null;
+
+	return {
+		product: product ? { _id: product._id, category: product.category } : line.product,
+		variant: line.variant || null,
+		sku: line.sku || null,
+		name: line.name || (product ? displayName(product, variant) : null),
+		image: line.image || (product ? displayImage(product, variant) : null),
+		quantity: line.quantity,
+		price: line.price,
+		lineTotal: line.price * line.quantity,
+	};
+}
+
+// orders from before the status history only know when they were placed and last changed
+function statusTimeline(order) {
+	if (order.statusHistory?.length) {
+		return order.statusHistory.map(({ status, at, note }) => ({ status, at, ...(note ? { note } : {}) }));
+	}
+
+	const timeline = [{ status: "pending", at: order.createdAt }];
+	if (order.status !== "pending") {
+		timeline.push({ status: order.status, at: order.updatedAt });
+	}
+	return timeline;
+}
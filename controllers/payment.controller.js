@@ -1,7 +1,19 @@
-import Coupon from "../models/coupon.model.js";
+import crypto from "crypto";
 import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
 import { stripe } from "../lib/stripe.js";
 import { redis } from "../lib/redis.js";
+import { InsufficientStockError, commitReservation, releaseReservation, reserveStock } from "../lib/inventory.js";
+import { CartError, confirmPurchaseLimits, holdPurchaseLimits, releasePurchaseLimits } from "../lib/cart.js";
+import { loadPaymentQuote, loadQuote } from "../lib/quote.js";
+import { confirmRedemption, holdRedemption, releaseRedemption } from "../lib/coupons.js";
+import { awardOrderPoints, confirmPoints, holdPoints, releasePoints } from "../lib/loyalty.js";
+import { confirmCredits, holdCredits, issueOrderGiftCards, releaseCredits } from "../lib/credit.js";
+import { cancelCartReminders } from "../lib/abandonedCarts.js";
+import { flagOrder } from "../lib/orders.js";
+import { convertToBase, fromMinorUnits, toMinorUnits } from "../lib/currency.js";
+import { displayImage, displayName, findVariant } from "../lib/variants.js";
+import { expectedTokenAmount, findAcceptedToken } from "../lib/cryptoPayments.js";
 import { web3, getPaymentProcessorContract, isBlockchainHealthy, isEventSubscriptionHealthy } from "../lib/blockchain.js";
 import dotenv from "dotenv";
 
@@ -11,39 +23,71 @@ dotenv.config();
 const transactionCache = new Map();
 
 export const createCheckoutSession = async (req, res) => {
+	let reservationId = null;
+	let orderCreated = false;
 	try {
-		const { products, couponCode } = req.body;
-
-		if (!Array.isArray(products) || products.length === 0) {
-			return res.status(400).json({ error: "Invalid or empty products array" });
+		// everything charged comes from the server-side quote, nothing priced by the browser is trusted
+		const quote = await loadQuote(req.body.quoteId, req.user);
+
+		// hold the stock first so two shoppers can't pay for the last unit
+		reservationId = await reserveStock(quoteReservationItems(quote), { userId: req.user._id });
+		await holdQuoteDiscounts(quote, req.user, reservationId);
+
+		// gift cards and store credit cover the whole order, there is nothing left for stripe to charge
+		if (quote.amountDue <= 0) {
+			const order = await createCreditOrder(quote, req.user);
+			// from here on the order owns the holds, a failure below must not give them back
+			orderCreated = true;
+			await commitReservation(reservationId);
+			await confirmRedemption(reservationId, order._id);
+			await confirmPurchaseLimits(reservationId, order._id);
+			await confirmPoints(reservationId, order._id);
+			await confirmCredits(reservationId, order._id);
+			await awardOrderPoints(order);
+			await issueOrderGiftCards(order);
+			await cancelCartReminders(req.user._id);
+			return res.status(201).json({ orderId: order._id, totalAmount: quote.total, currency: quote.currency, paid: true });
 		}
 
-		let totalAmount = 0;
-
-		const lineItems = products.map((product) => {
-			const amount = Math.round(product.price * 100); // stripe wants u to send in the format of cents
-			totalAmount += amount * product.quantity;
-
-			return {
-				price_data: {
-					currency: "usd",
-					product_data: {
-						name: product.name,
-						images: [product.image],
+		const lineItems = quote.items.map((item) => ({
+			price_data: {
+				currency: quote.currency,
+				product_data: {
+					name: item.name,
+					images: item.image ? [item.image] : [],
+					metadata: {
+						productId: item.productId,
+						...(item.variantId ? { variantId: item.variantId, sku: item.sku } : {}),
 					},
-					unit_amount: amount,
 				},
-				quantity: product.quantity || 1,
-			};
-		});
-
-		let coupon = null;
-		if (couponCode) {
-			coupon = await Coupon.findOne({ code: couponCode, userId: req.user._id, isActive: true });
-			if (coupon) {
-				totalAmount -= Math.round((totalAmount * coupon.discountPercentage) / 100);
-			}
+				unit_amount: toMinorUnits(item.unitPrice, quote.currency), // stripe wants the smallest unit, e.g. cents
+			},
+			quantity: item.quantity,
+		}));
+		if (quote.tax > 0) {
+			lineItems.push({
+				price_data: {
+					currency: quote.currency,
+					product_data: { name: `Tax (${quote.taxRate}%)` },
+					unit_amount: toMinorUnits(quote.tax, quote.currency),
+				},
+				quantity: 1,
+			});
+		}
+		// a line item rather than a shipping option, stripe coupons don't reach shipping options
+		// and credit has to be able to pay for shipping too
+		if (quote.shipping > 0) {
+			lineItems.push({
+				price_data: {
+					currency: quote.currency,
+					product_data: { name: "Shipping" },
+					unit_amount: toMinorUnits(quote.shipping, quote.currency),
+				},
+				quantity: 1,
+			});
 		}
+		// discounts and what gift cards and store credit pay both come off as one amount
+		const amountOff = toMinorUnits(quote.discountTotal + quote.creditTotal, quote.currency);
 
 		const session = await stripe.checkout.sessions.create({
 			payment_method_types: ["card"],
@@ -51,31 +95,50 @@ export const createCheckoutSession = async (req, res) => {
 			mode: "payment",
 			success_url: `${process.env.CLIENT_URL}/purchase-success?session_id={CHECKOUT_SESSION_ID}`,
 			cancel_url: `${process.env.CLIENT_URL}/purchase-cancel`,
-			discounts: coupon
-				? [
-						{
-							coupon: await createStripeCoupon(coupon.discountPercentage),
-						},
-				  ]
-				: [],
+			expires_at: Math.floor(Date.now() / 1000) + 30 * 60, // stripe minimum, the stock hold lasts a bit longer
+			discounts: amountOff > 0 ? [{ coupon: await createStripeCoupon(amountOff, quote.currency) }] : [],
 			metadata: {
 				userId: req.user._id.toString(),
-				couponCode: couponCode || "",
+				quoteId: quote.id,
+				couponCode: quote.couponCode || "",
+				reservationId,
+				currency: quote.currency,
+				exchangeRate: String(quote.exchangeRate),
+				baseTotal: String(quote.baseTotal),
+				pricing: JSON.stringify({
+					discounts: orderDiscounts(quote),
+					payments: orderPayments(quote),
+					tax: quote.tax,
+					shipping: quote.shipping,
+					points: quote.pointsRedeemed,
+				}),
 				products: JSON.stringify(
-					products.map((p) => ({
-						id: p._id,
-						quantity: p.quantity,
-						price: p.price,
+					quote.items.map((item) => ({
+						id: item.productId,
+						...(item.variantId ? { variantId: item.variantId, sku: item.sku } : {}),
+						quantity: item.quantity,
+						price: item.basePrice,
 					}))
 				),
 			},
 		});
 
-		if (totalAmount >= 20000) {
-			await createNewCoupon(req.user._id);
-		}
-		res.status(200).json({ id: session.id, totalAmount: totalAmount / 100 });
+		res.status(200).json({ id: session.id, totalAmount: quote.total, amountDue: quote.amountDue, currency: quote.currency });
 	} catch (error) {
+		if (reservationId && !orderCreated) {
+			await releaseCheckoutHolds(reservationId);
+		}
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ error: error.message, ...error.details });
+		}
+		if (error instanceof InsufficientStockError) {
+			return res.status(409).json({
+				error: error.message,
+				productId: error.productId,
+				variantId: error.variantId,
+				available: error.available,
+			});
+		}
 		console.error("Error processing checkout:", error);
 		res.status(500).json({ message: "Error processing checkout", error: error.message });
 	}
@@ -98,32 +161,75 @@ export const checkoutSuccess = async (req, res) => {
 				});
 			}
 			
-			if (session.metadata.couponCode) {
-				await Coupon.findOneAndUpdate(
-					{
-						code: session.metadata.couponCode,
-						userId: session.metadata.userId,
-					},
-					{
-						isActive: false,
-					}
-				);
-			}
-
-			// create a new Order
+			// create a new Order, line prices are stored in the base currency, the charge as stripe took it
 			const products = JSON.parse(session.metadata.products);
+			const currency = { code: session.currency, rate: Number(session.metadata.exchangeRate) || 1 };
+			const chargedAmount = fromMinorUnits(session.amount_total, currency.code);
+			const pricing = session.metadata.pricing ? JSON.parse(session.metadata.pricing) : {};
+			// names and images don't fit in stripe metadata, snapshot them from the catalog instead
+			const catalog = await Product.find({ _id: { $in: products.map((product) => product.id) } });
 			const newOrder = new Order({
 				user: session.metadata.userId,
 				products: products.map((product) => ({
 					product: product.id,
+					variant: product.variantId,
+					sku: product.sku,
+					...lineSnapshot(catalog.find((p) => p.id === product.id), product.variantId),
 					quantity: product.quantity,
 					price: product.price,
 				})),
-				totalAmount: session.amount_total / 100, // convert from cents to dollars,
+				// the order's value, gift cards and store credit may have paid part of it
+				totalAmount: Number(session.metadata.baseTotal) || convertToBase(chargedAmount, currency),
+				currency: currency.code,
+				chargedAmount,
+				exchangeRate: currency.rate,
+				couponCode: session.metadata.couponCode || undefined,
+				discounts: pricing.discounts,
+				payments: pricing.payments,
+				taxAmount: pricing.tax,
+				shippingAmount: pricing.shipping,
 				stripeSessionId: sessionId,
 			});
 
-			await newOrder.save();
+			try {
+				await newOrder.save();
+			} catch (saveError) {
+				// a concurrent request created the order first and runs the side effects
+				if (saveError.code !== 11000) throw saveError;
+				const processedOrder = await Order.findOne({ stripeSessionId: sessionId });
+				return res.status(200).json({
+					success: true,
+					message: "Order already processed",
+					orderId: processedOrder._id,
+				});
+			}
+			// a payment that lands after the checkout's holds were released claims them again,
+			// whatever was used up in the meantime is left for an admin to settle
+			const reviewReasons = [];
+			if (!(await confirmRedemption(session.metadata.reservationId, newOrder._id))) {
+				reviewReasons.push("coupon_unavailable");
+			}
+			await confirmPurchaseLimits(session.metadata.reservationId, newOrder._id);
+			const pointsTaken = await confirmPoints(session.metadata.reservationId, newOrder._id, {
+				user: session.metadata.userId,
+				points: pricing.points,
+			});
+			if (!pointsTaken) {
+				reviewReasons.push("points_unavailable");
+			}
+			if (!(await confirmCredits(session.metadata.reservationId, newOrder._id))) {
+				reviewReasons.push("credit_unavailable");
+			}
+			if (reviewReasons.length) {
+				await flagOrder(newOrder._id, reviewReasons);
+			}
+			await awardOrderPoints(newOrder);
+			await issueOrderGiftCards(newOrder);
+			await cancelCartReminders(session.metadata.userId);
+			await commitReservation(
+				session.metadata.reservationId,
+				products.map((product) => ({ product: product.id, variant: product.variantId, quantity: product.quantity }))
+			);
 
 			res.status(200).json({
 				success: true,
@@ -138,12 +244,10 @@ export const checkoutSuccess = async (req, res) => {
 };
 
 export const verifyCryptoPayment = async (req, res) => {
+	let reservationId = null;
+	let orderCreated = false;
 	try {
-		const { products, paymentId, walletAddress, transactionHash, amount } = req.body;
-		
-		if (!products || !Array.isArray(products) || products.length === 0) {
-			return res.status(400).json({ error: "Invalid or empty products array" });
-		}
+		const { paymentId, walletAddress, transactionHash } = req.body;
 		
 		if (!paymentId || !walletAddress || !transactionHash) {
 			return res.status(400).json({ error: "Missing required parameters" });
@@ -151,10 +255,22 @@ export const verifyCryptoPayment = async (req, res) => {
 		
 		// Check if this transaction was already processed (prevent double-spending)
 		const cachedTransaction = await redis.get(`tx:${transactionHash}`);
-		if (cachedTransaction) {
+		if (cachedTransaction || (await Order.exists({ transactionHash }))) {
 			return res.status(400).json({ error: "Transaction already processed" });
 		}
 		
+		// The order is built from the server-side quote, not from what the browser sends. The quote's id is
+		// the payment id the contract is called with, so a payment can't be reused for another order.
+		let quote;
+		try {
+			quote = await loadPaymentQuote(String(paymentId), req.user);
+		} catch (quoteError) {
+			if (quoteError instanceof CartError) {
+				return res.status(quoteError.status).json({ error: quoteError.message, ...quoteError.details });
+			}
+			throw quoteError;
+		}
+		
 		// First check if blockchain is available
 		const isHealthy = await isBlockchainHealthy();
 		if (!isHealthy) {
@@ -203,26 +319,96 @@ export const verifyCryptoPayment = async (req, res) => {
 				return res.status(400).json({ error: "Transaction not sent to payment processor contract" });
 			}
 			
-			// At this point, the payment verification is successful
+			// The PaymentProcessed event of this transaction says who paid how much of which token for what
+			const events = await contract.getPastEvents("PaymentProcessed", {
+				fromBlock: receipt.blockNumber,
+				toBlock: receipt.blockNumber
+			});
+			const payment = events.find(event => event.transactionHash?.toLowerCase() === transactionHash.toLowerCase());
+			if (!payment) {
+				return res.status(400).json({ error: "No payment found in this transaction" });
+			}
+			const { payer, amount: paidAmount, paymentId: paidFor, tokenAddress } = payment.returnValues;
+			if (String(paidFor) !== quote.id) {
+				return res.status(400).json({ error: "This payment was made for another order" });
+			}
+			if (payer.toLowerCase() !== walletAddress.toLowerCase()) {
+				return res.status(400).json({ error: "The payment was not made from this wallet" });
+			}
+			const token = findAcceptedToken(tokenAddress);
+			const expected = token ? await expectedTokenAmount(quote, token) : null;
+			if (expected === null) {
+				return res.status(400).json({ error: "This token is not accepted for payment" });
+			}
+			if (BigInt(paidAmount) < expected) {
+				return res.status(400).json({
+					error: "The amount paid doesn't cover the order",
+					expected: expected.toString(),
+					paid: paidAmount.toString(),
+					token: token.symbol
+				});
+			}
 			
-			// Create an order in the database
+			// At this point, the payment verification is successful. The customer has paid, so the order is
+			// placed even when stock or a discount ran out since the quote, those orders are flagged for review.
+			reservationId = crypto.randomUUID();
+			const reviewReasons = [];
+			try {
+				await reserveStock(quoteReservationItems(quote), { reference: reservationId, userId: req.user._id });
+			} catch (stockError) {
+				if (!(stockError instanceof InsufficientStockError)) throw stockError;
+				reviewReasons.push("stock_unavailable");
+			}
+			reviewReasons.push(...(await holdPaidQuoteDiscounts(quote, req.user, reservationId)));
+			
+			// Create an order in the database, line prices in the base currency as quoted
 			const order = new Order({
-				products: products.map(product => ({
-					productId: product._id,
-					name: product.name,
-					price: product.price,
-					quantity: product.quantity
+				products: quote.items.map(item => ({
+					product: item.productId,
+					variant: item.variantId || undefined,
+					sku: item.sku || undefined,
+					name: item.name,
+					image: item.image,
+					price: item.basePrice,
+					quantity: item.quantity
 				})),
+				totalAmount: quote.baseTotal,
+				currency: quote.currency,
+				chargedAmount: quote.amountDue,
+				exchangeRate: quote.exchangeRate,
+				couponCode: quote.couponCode || undefined,
+				discounts: orderDiscounts(quote),
+				payments: orderPayments(quote),
+				taxAmount: quote.tax,
+				shippingAmount: quote.shipping,
 				paymentMethod: 'crypto',
 				paymentId: paymentId,
 				transactionHash: transactionHash,
 				walletAddress: walletAddress,
-				amount: amount,
-				user: req.user ? req.user._id : null,
-				status: 'completed'
+				tokenAddress: token.address,
+				user: req.user ? req.user._id : null
 			});
 			
-			await order.save();
+			try {
+				await order.save();
+			} catch (saveError) {
+				// a concurrent verification of the same transaction created the order first
+				if (saveError.code !== 11000) throw saveError;
+				const processedOrder = await Order.findOne({ transactionHash });
+				return res.status(200).json({ success: true, order: cryptoOrderSummary(processedOrder) });
+			}
+			orderCreated = true;
+			await commitReservation(reservationId, quoteReservationItems(quote));
+			await confirmRedemption(reservationId, order._id);
+			await confirmPurchaseLimits(reservationId, order._id);
+			await confirmPoints(reservationId, order._id);
+			await confirmCredits(reservationId, order._id);
+			await awardOrderPoints(order);
+			await issueOrderGiftCards(order);
+			await cancelCartReminders(req.user._id);
+			if (reviewReasons.length) {
+				await flagOrder(order._id, reviewReasons);
+			}
 			
 			// Store transaction hash in Redis to prevent double processing
 			await redis.set(`tx:${transactionHash}`, JSON.stringify({
@@ -232,12 +418,7 @@ export const verifyCryptoPayment = async (req, res) => {
 			
 			return res.status(200).json({
 				success: true,
-				order: {
-					id: order._id,
-					amount,
-					status: 'completed',
-					paymentMethod: 'crypto'
-				}
+				order: cryptoOrderSummary(order)
 			});
 		} catch (blockchainError) {
 			console.error('Blockchain verification error:', blockchainError.message || blockchainError);
@@ -253,6 +434,10 @@ export const verifyCryptoPayment = async (req, res) => {
 			error: 'An error occurred while verifying crypto payment',
 			details: error.message
 		});
+	} finally {
+		if (reservationId && !orderCreated) {
+			await releaseCheckoutHolds(reservationId);
+		}
 	}
 };
 
@@ -350,94 +535,134 @@ const initializeEventListeners = () => {
 // Start the initialization with an initial delay to allow system to fully start
 setTimeout(initializeEventListeners, 5000);
 
-export const processPayment = async (req, res) => {
-	try {
-		const { paymentMethodId, amount, currency = 'usd' } = req.body;
-
-		// Validate required fields
-		if (!paymentMethodId) {
-			return res.status(400).json({ error: "Payment method ID is required" });
-		}
+// the quote already worked out the discount, stripe only needs the amount in minor units
+async function createStripeCoupon(amountOff, currency) {
+	const coupon = await stripe.coupons.create({
+		amount_off: amountOff,
+		currency,
+		duration: "once",
+	});
 
-		// Validate amount
-		if (!amount || isNaN(amount) || amount <= 0) {
-			return res.status(400).json({ error: "Invalid amount provided" });
-		}
+	return coupon.id;
+}
 
-		// Calculate amount in cents
-		const amountInCents = Math.round(amount * 100);
+// the per-customer allowance, coupon use, loyalty points and credit a quote spends are held for the checkout, like its stock
+async function holdQuoteDiscounts(quote, user, reservationId) {
+	await holdPurchaseLimits(quote.items, user, reservationId);
+	const coupon = quote.discounts.find((d) => d.type === "coupon");
+	if (coupon) {
+		await holdRedemption(coupon.couponId, user, { reference: reservationId, amount: coupon.amount, currency: quote.currency });
+	}
+	if (quote.pointsRedeemed > 0) {
+		await holdPoints(user, quote.pointsRedeemed, reservationId);
+	}
+	if (quote.payments.length) {
+		await holdCredits(quote.payments, user, reservationId);
+	}
+}
 
+// holds what is still available of a quote paid for on-chain, the reasons are what no longer was
+async function holdPaidQuoteDiscounts(quote, user, reservationId) {
+	const reasons = [];
+	const hold = async (reason, take) => {
 		try {
-			// Create a payment intent
-			const paymentIntent = await stripe.paymentIntents.create({
-				amount: amountInCents,
-				currency,
-				payment_method: paymentMethodId,
-				confirmation_method: 'manual',
-				confirm: true,
-				return_url: `${req.headers.origin}/checkout-success`, // Add return URL for 3D Secure
-				automatic_payment_methods: {
-					enabled: true,
-					allow_redirects: 'always'
-				}
-			});
-
-			// Handle different payment intent statuses
-			switch (paymentIntent.status) {
-				case 'succeeded':
-					return res.json({
-						success: true,
-						clientSecret: paymentIntent.client_secret,
-						status: paymentIntent.status
-					});
-				case 'requires_action':
-					return res.json({
-						requiresAction: true,
-						clientSecret: paymentIntent.client_secret,
-						status: paymentIntent.status
-					});
-				default:
-					return res.json({
-						error: 'Invalid PaymentIntent status',
-						status: paymentIntent.status
-					});
-			}
-		} catch (stripeError) {
-			console.error('Stripe API error:', stripeError);
-			return res.status(400).json({
-				error: stripeError.message,
-				code: stripeError.code
-			});
+			await take();
+		} catch (error) {
+			if (!(error instanceof CartError)) throw error;
+			reasons.push(reason);
 		}
-	} catch (error) {
-		console.error('Payment processing error:', error);
-		return res.status(500).json({
-			error: 'An error occurred while processing your payment',
-			details: error.message
-		});
+	};
+
+	await hold("purchase_limit_exceeded", () => holdPurchaseLimits(quote.items, user, reservationId));
+	const coupon = quote.discounts.find((d) => d.type === "coupon");
+	if (coupon) {
+		await hold("coupon_unavailable", () =>
+			holdRedemption(coupon.couponId, user, { reference: reservationId, amount: coupon.amount, currency: quote.currency })
+		);
 	}
-};
+	if (quote.pointsRedeemed > 0) {
+		await hold("points_unavailable", () => holdPoints(user, quote.pointsRedeemed, reservationId));
+	}
+	if (quote.payments.length) {
+		await hold("credit_unavailable", () => holdCredits(quote.payments, user, reservationId));
+	}
+	return reasons;
+}
 
-async function createStripeCoupon(discountPercentage) {
-	const coupon = await stripe.coupons.create({
-		percent_off: discountPercentage,
-		duration: "once",
-	});
+// gives back the stock, allowance, coupon use, points and credit held for a checkout that didn't complete
+async function releaseCheckoutHolds(reservationId) {
+	try {
+		await releaseReservation(reservationId);
+		await releaseRedemption(reservationId);
+		await releasePurchaseLimits(reservationId);
+		await releasePoints(reservationId);
+		await releaseCredits(reservationId);
+	} catch (releaseError) {
+		console.error("Error releasing checkout holds:", releaseError.message || releaseError);
+	}
+}
 
-	return coupon.id;
+function cryptoOrderSummary(order) {
+	return {
+		id: order._id,
+		amount: order.chargedAmount,
+		currency: order.currency,
+		status: order.status,
+		paymentMethod: "crypto",
+	};
 }
 
-async function createNewCoupon(userId) {
-	await Coupon.findOneAndDelete({ userId });
+// what the order keeps of the quote's discount breakdown, small enough for stripe metadata
+function orderDiscounts(quote) {
+	return quote.discounts.map(({ type, code, promotionId, description, amount }) => ({
+		type,
+		...(code ? { code } : {}),
+		...(promotionId ? { promotion: promotionId } : {}),
+		description,
+		amount,
+	}));
+}
+
+function orderPayments(quote) {
+	return quote.payments.map(({ type, giftCardId, code, amount }) => ({
+		type,
+		...(giftCardId ? { giftCard: giftCardId, code } : {}),
+		amount,
+	}));
+}
 
-	const newCoupon = new Coupon({
-		code: "GIFT" + Math.random().toString(36).substring(2, 8).toUpperCase(),
-		discountPercentage: 10,
-		expirationDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
-		userId: userId,
+// an order paid entirely with gift cards and store credit, the holds are already in place
+function createCreditOrder(quote, user) {
+	return Order.create({
+		user: user._id,
+		products: quote.items.map((item) => ({
+			product: item.productId,
+			variant: item.variantId || undefined,
+			sku: item.sku || undefined,
+			name: item.name,
+			image: item.image,
+			price: item.basePrice,
+			quantity: item.quantity,
+		})),
+		totalAmount: quote.baseTotal,
+		currency: quote.currency,
+		chargedAmount: 0,
+		exchangeRate: quote.exchangeRate,
+		couponCode: quote.couponCode || undefined,
+		discounts: orderDiscounts(quote),
+		payments: orderPayments(quote),
+		taxAmount: quote.tax,
+		shippingAmount: quote.shipping,
+		paymentMethod: "credit",
 	});
+}
 
-	await newCoupon.save();
+function lineSnapshot(product, variantId) {
+	if (!product) return {};
+	const variant = findVariant(product, variantId);
+	return { name: displayName(product, variant), image: displayImage(product, variant) };
+}
 
-	return newCoupon;
+function quoteReservationItems(quote) {
+	return quote.items.map((item) => ({ product: item.productId, variant: item.variantId, quantity: item.quantity }));
 }
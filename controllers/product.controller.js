@@ -1,10 +1,21 @@
+import mongoose from "mongoose";
 import { redis } from "../lib/redis.js";
 import cloudinary from "../lib/cloudinary.js";
 import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import { descendantSlugs, findCategory } from "../lib/categories.js";
+import { capturePricing, effectivePriceExpression, recordPriceChanges, withEffectivePrice } from "../lib/pricing.js";
+import { convertFromBase } from "../lib/currency.js";
+import PriceChange from "../models/priceChange.model.js";
+import { cartItemProductId } from "../lib/cart.js";
+import { evaluateAlertsInBackground } from "../lib/alerts.js";
+import { getCoPurchases, getPopularByCategory, popularIn, rankRelated } from "../lib/recommendations.js";
 
 export const getAllProducts = async (req, res) => {
 	try {
-		const products = await Product.find({}); // find all products
+		// admins see every status, optionally narrowed down with ?status=draft
+		const filter = PRODUCT_STATUSES.includes(req.query.status) ? { status: req.query.status } : {};
+		const products = await Product.find(filter);
 		res.json({ products });
 	} catch (error) {
 		console.log("Error in getAllProducts controller", error.message);
@@ -16,13 +27,14 @@ export const getFeaturedProducts = async (req, res) => {
 	try {
 		let featuredProducts = await redis.get("featured_products");
 		if (featuredProducts) {
-			return res.json(JSON.parse(featuredProducts));
+			// sale prices are resolved per request so a sale starts and ends without touching the cache
+			return res.json(JSON.parse(featuredProducts).map((product) => withEffectivePrice(product, req.currency)));
 		}
 
 		// if not in redis, fetch from mongodb
 		// .lean() is gonna return a plain javascript object instead of a mongodb document
 		// which is good for performance
-		featuredProducts = await Product.find({ isFeatured: true }).lean();
+		featuredProducts = await Product.find({ isFeatured: true, ...Product.publishedFilter() }).lean();
 
 		if (!featuredProducts) {
 			return res.status(404).json({ message: "No featured products found" });
@@ -32,7 +44,7 @@ export const getFeaturedProducts = async (req, res) => {
 
 		await redis.set("featured_products", JSON.stringify(featuredProducts));
 
-		res.json(featuredProducts);
+		res.json(featuredProducts.map((product) => withEffectivePrice(product, req.currency)));
 	} catch (error) {
 		console.log("Error in getFeaturedProducts controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
@@ -41,7 +53,28 @@ export const getFeaturedProducts = async (req, res) => {
 
 export const createProduct = async (req, res) => {
 	try {
-		const { name, description, price, image, category } = req.body;
+		const {
+			name,
+			description,
+			price,
+			image,
+			category,
+			stock,
+			options,
+			variants,
+			status,
+			publishAt,
+			unpublishAt,
+			salePrice,
+			saleStartsAt,
+			saleEndsAt,
+			currencyPrices,
+			isPurchasable,
+			maxPerOrder,
+			maxPerCustomer,
+			limitWindowDays,
+			productType,
+		} = req.body;
 
 		// Validate required fields
 		if (!name || !price || !category) {
@@ -50,6 +83,37 @@ export const createProduct = async (req, res) => {
 			});
 		}
 
+		if (stock !== undefined && !isValidStock(stock)) {
+			return res.status(400).json({ message: "Stock must be a non-negative integer" });
+		}
+
+		const variantError = validateVariantInput(variants);
+		if (variantError) {
+			return res.status(400).json({ message: variantError });
+		}
+
+		const categoryDoc = await findCategory(category);
+		if (!categoryDoc) {
+			return res.status(400).json({ message: `Unknown category ${category}` });
+		}
+
+		const scheduleError = validateSchedule(status || "published", publishAt, unpublishAt);
+		if (scheduleError) {
+			return res.status(400).json({ message: scheduleError });
+		}
+		const saleError = validateSale(salePrice, saleStartsAt, saleEndsAt);
+		if (saleError) {
+			return res.status(400).json({ message: saleError });
+		}
+		const currencyPriceError = validateCurrencyPrices(currencyPrices);
+		if (currencyPriceError) {
+			return res.status(400).json({ message: currencyPriceError });
+		}
+		const limitError = validatePurchaseLimits({ maxPerOrder, maxPerCustomer, limitWindowDays });
+		if (limitError) {
+			return res.status(400).json({ message: limitError });
+		}
+
 		let cloudinaryResponse = null;
 
 		if (image) {
@@ -70,61 +134,298 @@ export const createProduct = async (req, res) => {
 			description: description || "",
 			price,
 			image: cloudinaryResponse?.secure_url || "",
-			category,
+			category: categoryDoc.slug,
+			stock: stock || 0,
+			options: options || [],
+			status: status || "published",
+			publishAt: publishAt || null,
+			unpublishAt: unpublishAt || null,
+			salePrice: salePrice ?? null,
+			saleStartsAt: saleStartsAt || null,
+			saleEndsAt: saleEndsAt || null,
+			currencyPrices: normalizeCurrencyPrices(currencyPrices),
+			isPurchasable: isPurchasable ?? true,
+			maxPerOrder: maxPerOrder || null,
+			maxPerCustomer: maxPerCustomer || null,
+			limitWindowDays: limitWindowDays || null,
+			productType: productType || "standard",
+			variants: variants ? (await buildVariants(variants, [])).variants : [],
 		});
 
+		await recordPriceChanges({}, product, { userId: req.user._id, source: "create" });
+
 		res.status(201).json(product);
 	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
 		console.error("Error in createProduct controller:", error);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
 
-export const deleteProduct = async (req, res) => {
+export const updateProduct = async (req, res) => {
 	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
 		const product = await Product.findById(req.params.id);
 
 		if (!product) {
 			return res.status(404).json({ message: "Product not found" });
 		}
 
-		if (product.image) {
-			const publicId = product.image.split("/").pop().split(".")[0];
+		const {
+			name,
+			description,
+			price,
+			image,
+			category,
+			isFeatured,
+			stock,
+			options,
+			variants,
+			status,
+			publishAt,
+			unpublishAt,
+			salePrice,
+			saleStartsAt,
+			saleEndsAt,
+			currencyPrices,
+			isPurchasable,
+			maxPerOrder,
+			maxPerCustomer,
+			limitWindowDays,
+			productType,
+		} = req.body;
+
+		if (name !== undefined && !name) {
+			return res.status(400).json({ message: "Name cannot be empty" });
+		}
+		if (category !== undefined && !category) {
+			return res.status(400).json({ message: "Category cannot be empty" });
+		}
+		// Number("") and Number(null) are 0, a blank price must not silently make the product free
+		if (price !== undefined && (price === null || price === "" || !Number.isFinite(Number(price)) || Number(price) < 0)) {
+			return res.status(400).json({ message: "Price must be a non-negative number" });
+		}
+		if (stock !== undefined && !isValidStock(stock)) {
+			return res.status(400).json({ message: "Stock must be a non-negative integer" });
+		}
+		// Boolean("false") is true, only real booleans are taken
+		if (isFeatured !== undefined && typeof isFeatured !== "boolean") {
+			return res.status(400).json({ message: "isFeatured must be true or false" });
+		}
+		if (isPurchasable !== undefined && typeof isPurchasable !== "boolean") {
+			return res.status(400).json({ message: "isPurchasable must be true or false" });
+		}
+		const variantError = validateVariantInput(variants);
+		if (variantError) {
+			return res.status(400).json({ message: variantError });
+		}
+		const categoryDoc = category !== undefined ? await findCategory(category) : null;
+		if (category !== undefined && !categoryDoc) {
+			return res.status(400).json({ message: `Unknown category ${category}` });
+		}
+		const scheduleError = validateSchedule(
+			status ?? product.status,
+			publishAt !== undefined ? publishAt : product.publishAt,
+			unpublishAt !== undefined ? unpublishAt : product.unpublishAt
+		);
+		if (scheduleError) {
+			return res.status(400).json({ message: scheduleError });
+		}
+		const saleError = validateSale(
+			salePrice !== undefined ? salePrice : product.salePrice,
+			saleStartsAt !== undefined ? saleStartsAt : product.saleStartsAt,
+			saleEndsAt !== undefined ? saleEndsAt : product.saleEndsAt
+		);
+		if (saleError) {
+			return res.status(400).json({ message: saleError });
+		}
+		const currencyPriceError = validateCurrencyPrices(currencyPrices);
+		if (currencyPriceError) {
+			return res.status(400).json({ message: currencyPriceError });
+		}
+		const limitError = validatePurchaseLimits({ maxPerOrder, maxPerCustomer, limitWindowDays });
+		if (limitError) {
+			return res.status(400).json({ message: limitError });
+		}
+
+		const wasFeatured = product.isFeatured;
+		const pricingBefore = capturePricing(product);
+
+		if (name !== undefined) product.name = name;
+		if (description !== undefined) product.description = description;
+		if (price !== undefined) product.price = Number(price);
+		if (categoryDoc) product.category = categoryDoc.slug;
+		if (isFeatured !== undefined) product.isFeatured = isFeatured;
+		if (stock !== undefined) product.stock = Number(stock);
+		if (options !== undefined) product.options = options;
+		if (salePrice !== undefined) product.salePrice = salePrice ?? null;
+		if (currencyPrices !== undefined) product.currencyPrices = normalizeCurrencyPrices(currencyPrices);
+		if (saleStartsAt !== undefined) product.saleStartsAt = saleStartsAt || null;
+		if (saleEndsAt !== undefined) product.saleEndsAt = saleEndsAt || null;
+		if (publishAt !== undefined) product.publishAt = publishAt || null;
+		if (unpublishAt !== undefined) product.unpublishAt = unpublishAt || null;
+		if (isPurchasable !== undefined) product.isPurchasable = isPurchasable;
+		if (maxPerOrder !== undefined) product.maxPerOrder = maxPerOrder || null;
+		if (maxPerCustomer !== undefined) product.maxPerCustomer = maxPerCustomer || null;
+		if (limitWindowDays !== undefined) product.limitWindowDays = limitWindowDays || null;
+		if (productType !== undefined) product.productType = productType || "standard";
+		if (status !== undefined && status !== product.status) {
+			product.status = status;
+			product.archivedAt = status === "archived" ? new Date() : null;
+		}
+
+		let removedVariantImages = [];
+		if (variants !== undefined) {
+			const result = await buildVariants(variants, product.variants);
+			product.variants = result.variants;
+			removedVariantImages = result.removedImages;
+		}
+
+		// only a new upload replaces the image, the client echoes the existing url back on plain edits
+		const oldImage = product.image;
+		if (image && image !== oldImage) {
 			try {
-				await cloudinary.uploader.destroy(`products/${publicId}`);
-				console.log("deleted image from cloduinary");
-			} catch (error) {
-				console.log("error deleting image from cloduinary", error);
+				const cloudinaryResponse = await cloudinary.uploader.upload(image, {
+					folder: "products",
+					resource_type: "auto",
+				});
+				product.image = cloudinaryResponse.secure_url;
+			} catch (uploadError) {
+				console.error("Error uploading image to Cloudinary:", uploadError);
+				return res.status(400).json({ message: "Image upload failed", error: uploadError.message });
 			}
 		}
 
-		await Product.findByIdAndDelete(req.params.id);
+		const updatedProduct = await product.save();
+		await recordPriceChanges(pricingBefore, updatedProduct, { userId: req.user._id });
+		// a restock or a new sale can satisfy waiting subscribers right away
+		evaluateAlertsInBackground([updatedProduct._id]);
+
+		if (oldImage && updatedProduct.image !== oldImage) {
+			await destroyProductImage(oldImage);
+		}
+		for (const variantImage of removedVariantImages) {
+			await destroyProductImage(variantImage);
+		}
 
-		res.json({ message: "Product deleted successfully" });
+		if (wasFeatured || updatedProduct.isFeatured) {
+			await updateFeaturedProductsCache();
+		}
+
+		res.json(updatedProduct);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in updateProduct controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deleteProduct = async (req, res) => {
+	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		const product = await Product.findById(req.params.id);
+
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		// archived instead of removed so past orders keep their product, restore by setting status back
+		product.status = "archived";
+		product.archivedAt = new Date();
+		product.unpublishAt = null;
+		await product.save();
+
+		if (product.isFeatured) {
+			await updateFeaturedProductsCache();
+		}
+
+		res.json({ message: "Product archived successfully", product });
 	} catch (error) {
 		console.log("Error in deleteProduct controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
 
+const RECOMMENDATION_FIELDS = "_id name description image price salePrice saleStartsAt saleEndsAt averageRating reviewCount";
+const USER_RECOMMENDATION_TTL = 10 * 60; // 10 minutes
+
 export const getRecommendedProducts = async (req, res) => {
 	try {
-		const products = await Product.aggregate([
-			{
-				$sample: { size: 4 },
-			},
-			{
-				$project: {
-					_id: 1,
-					name: 1,
-					description: 1,
-					image: 1,
-					price: 1,
-				},
-			},
+		const size = Math.min(Math.max(parseInt(req.query.size, 10) || 4, 1), 12);
+		const { productId } = req.query;
+		if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+			return res.status(400).json({ message: "Invalid product id" });
+		}
+
+		// personal results only depend on the user's history, so they can be reused for a while
+		const cacheKey = req.user && !productId ? `recommendations:user:${req.user._id}:${size}` : null;
+		if (cacheKey) {
+			const cached = await redis.get(cacheKey);
+			if (cached) {
+				return res.json(JSON.parse(cached).map((product) => withEffectivePrice(product, req.currency)));
+			}
+		}
+
+		const seeds = [];
+		if (productId) seeds.push(productId);
+		if (req.user) {
+			seeds.push(...req.user.cartItems.map(cartItemProductId));
+			const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20).select("products.product").lean();
+			for (const order of orders) {
+				seeds.push(...order.products.map((item) => item.product?.toString()).filter(Boolean));
+			}
+		}
+		const uniqueSeeds = [...new Set(seeds)];
+
+		const [coPurchases, popularByCategory, seedProducts] = await Promise.all([
+			getCoPurchases(),
+			getPopularByCategory(),
+			Product.find({ _id: { $in: uniqueSeeds } }).select("category").lean(),
 		]);
+		const seedCategories = [...new Set(seedProducts.map((p) => p.category))];
+
+		// also-bought first, then best sellers from the shopper's categories, then best sellers overall
+		const exclude = new Set(uniqueSeeds);
+		const ranked = [
+			...new Set([
+				...rankRelated(uniqueSeeds, coPurchases),
+				...popularIn(seedCategories, popularByCategory),
+				...popularIn([], popularByCategory),
+			]),
+		].filter((id) => !exclude.has(id));
 
-		res.json(products);
+		const candidates = await Product.find({ _id: { $in: ranked.slice(0, size * 3) }, ...Product.publishedFilter() })
+			.select(RECOMMENDATION_FIELDS)
+			.lean();
+		let products = ranked
+			.map((id) => candidates.find((p) => p._id.toString() === id))
+			.filter(Boolean)
+			.slice(0, size);
+
+		// brand new store without order history, top up with random picks
+		if (products.length < size) {
+			const taken = [...exclude, ...products.map((p) => p._id.toString())].map((id) => new mongoose.Types.ObjectId(id));
+			const fill = await Product.aggregate([
+				{ $match: { _id: { $nin: taken }, ...Product.publishedFilter() } },
+				{ $sample: { size: size - products.length } },
+				{ $project: Object.fromEntries(RECOMMENDATION_FIELDS.split(" ").map((field) => [field, 1])) },
+			]);
+			products = [...products, ...fill];
+		}
+
+		if (cacheKey) {
+			await redis.set(cacheKey, JSON.stringify(products), "EX", USER_RECOMMENDATION_TTL);
+		}
+
+		res.json(products.map((product) => withEffectivePrice(product, req.currency)));
 	} catch (error) {
 		console.log("Error in getRecommendedProducts controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
@@ -134,16 +435,145 @@ export const getRecommendedProducts = async (req, res) => {
 export const getProductsByCategory = async (req, res) => {
 	const { category } = req.params;
 	try {
-		const products = await Product.find({ category });
-		res.json({ products });
+		const products = await Product.find({
+			category: { $in: await resolveCategorySlugs(category) },
+			...Product.publishedFilter(),
+		}).lean();
+		res.json({ products: products.map((product) => withEffectivePrice(product, req.currency)) });
 	} catch (error) {
 		console.log("Error in getProductsByCategory controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
 
+const SEARCH_SORTS = {
+	relevance: { field: "score", direction: -1 },
+	newest: { field: "createdAt", direction: -1 },
+	// effectivePrice is added by the search pipeline, sales count
+	price_asc: { field: "effectivePrice", direction: 1 },
+	price_desc: { field: "effectivePrice", direction: -1 },
+};
+
+const PRICE_BUCKETS = [0, 25, 50, 100, 200, 500];
+
+export const searchProducts = async (req, res) => {
+	try {
+		const { q, category, featured, cursor } = req.query;
+		const searchText = typeof q === "string" ? q.trim() : "";
+		const sort = req.query.sort || (searchText ? "relevance" : "newest");
+		const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 50);
+
+		if (!SEARCH_SORTS[sort]) {
+			return res.status(400).json({ message: `Invalid sort, expected one of: ${Object.keys(SEARCH_SORTS).join(", ")}` });
+		}
+		if (sort === "relevance" && !searchText) {
+			return res.status(400).json({ message: "Relevance sort requires a search query" });
+		}
+
+		const minPrice = req.query.minPrice !== undefined ? Number(req.query.minPrice) : null;
+		const maxPrice = req.query.maxPrice !== undefined ? Number(req.query.maxPrice) : null;
+		if ((minPrice !== null && isNaN(minPrice)) || (maxPrice !== null && isNaN(maxPrice))) {
+			return res.status(400).json({ message: "minPrice and maxPrice must be numbers" });
+		}
+
+		let after = null;
+		if (cursor) {
+			after = decodeSearchCursor(cursor, sort);
+			if (!after) {
+				return res.status(400).json({ message: "Invalid cursor" });
+			}
+		}
+
+		// $text has to live in the first stage, everything else is split up so that each facet
+		// ignores its own filter (e.g. category counts stay visible while a category is selected)
+		const baseMatch = { ...Product.publishedFilter() };
+		if (searchText) baseMatch.$text = { $search: searchText };
+		if (featured !== undefined) baseMatch.isFeatured = featured === "true";
+
+		const categoryMatch = category ? { category: { $in: await resolveCategorySlugs(category) } } : {};
+		// price filters arrive in the shopper's currency, the catalog is stored in the base currency
+		const rate = req.currency?.rate || 1;
+		const priceMatch = {};
+		if (minPrice !== null) priceMatch.$gte = minPrice / rate;
+		if (maxPrice !== null) priceMatch.$lte = maxPrice / rate;
+		const priceFilter = Object.keys(priceMatch).length ? { effectivePrice: priceMatch } : {};
+
+		const { field, direction } = SEARCH_SORTS[sort];
+
+		const [result] = await Product.aggregate([
+			{ $match: baseMatch },
+			...(searchText ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+			{ $addFields: { effectivePrice: effectivePriceExpression() } },
+			{
+				$facet: {
+					products: [
+						{ $match: { ...categoryMatch, ...priceFilter } },
+						...(after ? [{ $match: buildCursorMatch(field, direction, after) }] : []),
+						{ $sort: { [field]: direction, _id: direction } },
+						{ $limit: limit + 1 },
+					],
+					total: [{ $match: { ...categoryMatch, ...priceFilter } }, { $count: "count" }],
+					categories: [
+						{ $match: priceFilter },
+						{ $group: { _id: "$category", count: { $sum: 1 } } },
+						{ $sort: { count: -1, _id: 1 } },
+					],
+					priceRanges: [
+						{ $match: categoryMatch },
+						{
+							$bucket: {
+								groupBy: "$effectivePrice",
+								boundaries: PRICE_BUCKETS,
+								default: "other",
+								output: { count: { $sum: 1 } },
+							},
+						},
+					],
+				},
+			},
+		]);
+
+		const hasMore = result.products.length > limit;
+		const products = hasMore ? result.products.slice(0, limit) : result.products;
+		const last = products[products.length - 1];
+
+		res.json({
+			products: products.map(({ effectivePrice, ...product }) => withEffectivePrice(product, req.currency)),
+			total: result.total[0]?.count || 0,
+			facets: {
+				categories: result.categories.map((c) => ({ category: c._id, count: c.count })),
+				priceRanges: result.priceRanges.map((bucket) => formatPriceBucket(bucket, req.currency)),
+			},
+			nextCursor: hasMore ? encodeSearchCursor(sort, last[field], last._id) : null,
+		});
+	} catch (error) {
+		console.log("Error in searchProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getPriceHistory = async (req, res) => {
+	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		const history = await PriceChange.find({ product: req.params.id })
+			.sort({ createdAt: -1 })
+			.limit(Math.min(parseInt(req.query.limit, 10) || 100, 500))
+			.populate("changedBy", "name email");
+
+		res.json(history);
+	} catch (error) {
+		console.log("Error in getPriceHistory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
 export const toggleFeaturedProduct = async (req, res) => {
 	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
 		const product = await Product.findById(req.params.id);
 		if (product) {
 			product.isFeatured = !product.isFeatured;
@@ -159,13 +589,189 @@ export const toggleFeaturedProduct = async (req, res) => {
 	}
 };
 
-async function updateFeaturedProductsCache() {
+// a category listing includes everything filed under its subcategories,
+// strings that don't match a category yet (pre-migration data) are matched as-is
+async function resolveCategorySlugs(category) {
+	const categoryDoc = await findCategory(category);
+	if (!categoryDoc) return [category];
+	return descendantSlugs(categoryDoc.slug);
+}
+
+const PRODUCT_STATUSES = ["draft", "published", "archived"];
+
+function validateSchedule(status, publishAt, unpublishAt) {
+	if (!PRODUCT_STATUSES.includes(status)) {
+		return `Status must be one of: ${PRODUCT_STATUSES.join(", ")}`;
+	}
+	const publishDate = publishAt ? new Date(publishAt) : null;
+	const unpublishDate = unpublishAt ? new Date(unpublishAt) : null;
+	if ((publishDate && isNaN(publishDate)) || (unpublishDate && isNaN(unpublishDate))) {
+		return "publishAt and unpublishAt must be valid dates";
+	}
+	if (publishDate && status !== "draft" && publishDate > new Date()) {
+		return "Only drafts can be scheduled for publishing, set status to draft";
+	}
+	if (publishDate && unpublishDate && unpublishDate <= publishDate) {
+		return "unpublishAt must be after publishAt";
+	}
+	return null;
+}
+
+function validateCurrencyPrices(currencyPrices) {
+	if (currencyPrices === undefined || currencyPrices === null) return null;
+	if (typeof currencyPrices !== "object" || Array.isArray(currencyPrices)) {
+		return "currencyPrices must be an object like { eur: 19.99 }";
+	}
+	for (const [code, price] of Object.entries(currencyPrices)) {
+		if (!/^[a-z]{3}$/i.test(code)) return `${code} is not a valid currency code`;
+		if (price !== null && (isNaN(price) || Number(price) < 0)) return `Price for ${code} must be a non-negative number`;
+	}
+	return null;
+}
+
+// lowercases the codes and drops cleared (null) entries
+function normalizeCurrencyPrices(currencyPrices) {
+	return Object.fromEntries(
+		Object.entries(currencyPrices || {})
+			.filter(([, price]) => price !== null && price !== "")
+			.map(([code, price]) => [code.toLowerCase(), Number(price)])
+	);
+}
+
+function validateSale(salePrice, saleStartsAt, saleEndsAt) {
+	if (salePrice !== undefined && salePrice !== null && (isNaN(salePrice) || Number(salePrice) < 0)) {
+		return "Sale price must be a non-negative number";
+	}
+	const startDate = saleStartsAt ? new Date(saleStartsAt) : null;
+	const endDate = saleEndsAt ? new Date(saleEndsAt) : null;
+	if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+		return "saleStartsAt and saleEndsAt must be valid dates";
+	}
+	if (startDate && endDate && endDate <= startDate) {
+		return "saleEndsAt must be after saleStartsAt";
+	}
+	return null;
+}
+
+function isValidStock(stock) {
+	return Number.isInteger(Number(stock)) && Number(stock) >= 0;
+}
+
+// purchase limits are positive whole numbers, null or empty clears them
+function validatePurchaseLimits(limits) {
+	for (const [field, value] of Object.entries(limits)) {
+		if (value === undefined || value === null || value === "") continue;
+		if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+			return `${field} must be a positive whole number`;
+		}
+	}
+	return null;
+}
+
+function validateVariantInput(variants) {
+	if (variants === undefined) return null;
+	if (!Array.isArray(variants)) return "Variants must be an array";
+
+	for (const variant of variants) {
+		if (!variant.sku) return "Every variant needs a SKU";
+		if (variant.price !== undefined && variant.price !== null && (isNaN(variant.price) || Number(variant.price) < 0)) {
+			return `Variant ${variant.sku} has an invalid price`;
+		}
+		if (variant.salePrice !== undefined && variant.salePrice !== null && (isNaN(variant.salePrice) || Number(variant.salePrice) < 0)) {
+			return `Variant ${variant.sku} has an invalid sale price`;
+		}
+		if (variant.stock !== undefined && !isValidStock(variant.stock)) {
+			return `Variant ${variant.sku} stock must be a non-negative integer`;
+		}
+	}
+	return null;
+}
+
+// merges the submitted variants with the stored ones, keeping ids and held stock of variants that survive
+async function buildVariants(inputs, existingVariants) {
+	const variants = [];
+
+	for (const input of inputs) {
+		const existing = input._id ? existingVariants.find((v) => v._id.toString() === input._id.toString()) : null;
+
+		let image = existing?.image || "";
+		if (input.image && input.image !== image) {
+			try {
+				const cloudinaryResponse = await cloudinary.uploader.upload(input.image, {
+					folder: "products",
+					resource_type: "auto",
+				});
+				image = cloudinaryResponse.secure_url;
+			} catch (uploadError) {
+				console.error("Error uploading variant image to Cloudinary:", uploadError);
+			}
+		}
+
+		variants.push({
+			...(existing ? { _id: existing._id, reservedStock: existing.reservedStock } : {}),
+			sku: input.sku,
+			attributes: input.attributes || {},
+			price: input.price ?? undefined,
+			salePrice: input.salePrice ?? undefined,
+			image,
+			stock: input.stock !== undefined ? Number(input.stock) : existing?.stock || 0,
+		});
+	}
+
+	const keptImages = new Set(variants.map((v) => v.image));
+	const removedImages = existingVariants.map((v) => v.image).filter((img) => img && !keptImages.has(img));
+
+	return { variants, removedImages };
+}
+
+async function destroyProductImage(imageUrl) {
+	const publicId = imageUrl.split("/").pop().split(".")[0];
+	try {
+		await cloudinary.uploader.destroy(`products/${publicId}`);
+		console.log("deleted image from cloduinary");
+	} catch (error) {
+		console.log("error deleting image from cloduinary", error);
+	}
+}
+
+export async function updateFeaturedProductsCache() {
 	try {
 		// The lean() method  is used to return plain JavaScript objects instead of full Mongoose documents. This can significantly improve performance
 
-		const featuredProducts = await Product.find({ isFeatured: true }).lean();
+		const featuredProducts = await Product.find({ isFeatured: true, ...Product.publishedFilter() }).lean();
 		await redis.set("featured_products", JSON.stringify(featuredProducts));
 	} catch (error) {
 		console.log("error in update cache function");
 	}
 }
+
+// cursors are opaque to the client: base64 of the sort they were issued for plus the last row's sort key and id
+function encodeSearchCursor(sort, value, id) {
+	return Buffer.from(JSON.stringify({ s: sort, v: value, id: id.toString() })).toString("base64url");
+}
+
+function decodeSearchCursor(cursor, sort) {
+	try {
+		const { s, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+		if (s !== sort || v === undefined || !mongoose.Types.ObjectId.isValid(id)) return null;
+		return { value: sort === "newest" ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+	} catch (error) {
+		return null;
+	}
+}
+
+function buildCursorMatch(field, direction, after) {
+	const op = direction === 1 ? "$gt" : "$lt";
+	return {
+		$or: [{ [field]: { [op]: after.value } }, { [field]: after.value, _id: { [op]: after.id } }],
+	};
+}
+
+function formatPriceBucket(bucket, currency) {
+	const convert = (amount) => (currency ? convertFromBase(amount, currency) : amount);
+	if (bucket._id === "other") {
+		return { min: convert(PRICE_BUCKETS[PRICE_BUCKETS.length - 1]), max: null, count: bucket.count };
+	}
+	const index = PRICE_BUCKETS.indexOf(bucket._id);
+	return { min: convert(bucket._id), max: convert(PRICE_BUCKETS[index + 1]), count: bucket.count };
+}
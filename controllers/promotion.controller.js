@@ -0,0 +1,130 @@
+import Product from "../models/product.model.js";
+import Promotion from "../models/promotion.model.js";
+import { findCategory } from "../lib/categories.js";
+import { getActivePromotions } from "../lib/promotions.js";
+
+const PROMOTION_FIELDS = [
+	"name",
+	"description",
+	"isActive",
+	"startsAt",
+	"endsAt",
+	"priority",
+	"exclusive",
+	"combinesWithCoupons",
+	"conditions",
+	"action",
+];
+
+export const getPromotions = async (req, res) => {
+	try {
+		const promotions = await Promotion.find({}).sort({ isActive: -1, priority: -1, createdAt: -1 });
+		res.json(promotions);
+	} catch (error) {
+		console.log("Error in getPromotions controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// storefront banners, conditions stay server-side
+export const getActivePromotionList = async (req, res) => {
+	try {
+		const promotions = await getActivePromotions();
+		res.json(promotions.map(({ _id, name, description, endsAt }) => ({ _id, name, description, endsAt })));
+	} catch (error) {
+		console.log("Error in getActivePromotionList controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createPromotion = async (req, res) => {
+	try {
+		const data = pickPromotionFields(req.body);
+		const scopeError = await validateScope(data);
+		if (scopeError) {
+			return res.status(400).json({ message: scopeError });
+		}
+
+		const promotion = await Promotion.create(data);
+		res.status(201).json(promotion);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in createPromotion controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const updatePromotion = async (req, res) => {
+	try {
+		const promotion = await Promotion.findById(req.params.id);
+		if (!promotion) {
+			return res.status(404).json({ message: "Promotion not found" });
+		}
+
+		const data = pickPromotionFields(req.body);
+		const scopeError = await validateScope(data);
+		if (scopeError) {
+			return res.status(400).json({ message: scopeError });
+		}
+
+		promotion.set(data);
+		await promotion.save();
+		res.json(promotion);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in updatePromotion controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deletePromotion = async (req, res) => {
+	try {
+		const promotion = await Promotion.findByIdAndDelete(req.params.id);
+		if (!promotion) {
+			return res.status(404).json({ message: "Promotion not found" });
+		}
+
+		// orders keep the promotion name in their discount breakdown
+		res.json({ message: "Promotion deleted successfully" });
+	} catch (error) {
+		console.log("Error in deletePromotion controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+function pickPromotionFields(body) {
+	const data = {};
+	for (const field of PROMOTION_FIELDS) {
+		if (body[field] !== undefined) {
+			data[field] = body[field];
+		}
+	}
+	return data;
+}
+
+// categories are stored as slugs, like Product.category
+async function validateScope(data) {
+	const { conditions, action } = data;
+
+	if (conditions?.categories?.length) {
+		const slugs = [];
+		for (const value of conditions.categories) {
+			const category = await findCategory(value);
+			if (!category) return `Unknown category ${value}`;
+			slugs.push(category.slug);
+		}
+		conditions.categories = slugs;
+	}
+	if (conditions?.products?.length) {
+		const found = await Product.countDocuments({ _id: { $in: conditions.products } });
+		if (found !== new Set(conditions.products.map(String)).size) return "Some products in the conditions don't exist";
+	}
+	if (action?.freeProduct && !(await Product.exists({ _id: action.freeProduct }))) {
+		return "The free product doesn't exist";
+	}
+	return null;
+}
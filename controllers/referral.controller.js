@@ -0,0 +1,112 @@
+import Referral from "../models/referral.model.js";
+import { REFEREE_REWARD, REFERRAL_REWARD_TYPE, REFERRER_REWARD, ensureReferralCode } from "../lib/referrals.js";
+
+const PAGE_SIZE = 50;
+const TOP_REFERRERS = 10;
+
+export const getMyReferrals = async (req, res) => {
+	try {
+		const code = await ensureReferralCode(req.user);
+		const referrals = await Referral.find({ referrer: req.user._id })
+			.sort({ createdAt: -1 })
+			.populate("referee", "name");
+
+		res.json({
+			referralCode: code,
+			shareUrl: `${process.env.CLIENT_URL}/signup?ref=${code}`,
+			reward: { type: REFERRAL_REWARD_TYPE, referrer: REFERRER_REWARD, referee: REFEREE_REWARD },
+			// only the first name of the people they invited, and no reason a referral was turned down
+			referrals: referrals.map((referral) => ({
+				name: referral.referee?.name?.split(" ")[0] || null,
+				status: referral.status === "rewarded" ? "rewarded" : referral.status === "rejected" ? "not_eligible" : "pending",
+				reward: referral.referrerReward?.amount || null,
+				joinedAt: referral.createdAt,
+				rewardedAt: referral.rewardedAt,
+			})),
+			totalEarned: referrals.reduce((sum, referral) => sum + (referral.referrerReward?.amount || 0), 0),
+		});
+	} catch (error) {
+		console.log("Error in getMyReferrals controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getReferralReport = async (req, res) => {
+	try {
+		const { from, to, status, page = 1 } = req.query;
+		const filter = {};
+		if (from || to) {
+			filter.createdAt = {};
+			if (from) filter.createdAt.$gte = new Date(from);
+			if (to) filter.createdAt.$lte = new Date(to);
+		}
+
+		const [byStatus, byReason, rewards, topReferrers] = await Promise.all([
+			Referral.aggregate([{ $match: filter }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+			Referral.aggregate([
+				{ $match: { ...filter, status: "rejected" } },
+				{ $group: { _id: "$rejectionReason", count: { $sum: 1 } } },
+			]),
+			Referral.aggregate([
+				{ $match: { ...filter, status: "rewarded" } },
+				{
+					$group: {
+						_id: null,
+						referrer: { $sum: "$referrerReward.amount" },
+						referee: { $sum: "$refereeReward.amount" },
+					},
+				},
+			]),
+			Referral.aggregate([
+				{ $match: { ...filter, status: "rewarded" } },
+				{ $group: { _id: "$referrer", conversions: { $sum: 1 }, rewards: { $sum: "$referrerReward.amount" } } },
+				{ $sort: { conversions: -1 } },
+				{ $limit: TOP_REFERRERS },
+				{ $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+				{ $unwind: "$user" },
+				{ $project: { _id: 0, userId: "$_id", name: "$user.name", email: "$user.email", conversions: 1, rewards: 1 } },
+			]),
+		]);
+
+		const counts = Object.fromEntries(byStatus.map((group) => [group._id, group.count]));
+		const total = byStatus.reduce((sum, group) => sum + group.count, 0);
+		const eligible = total - (counts.rejected || 0);
+
+		const listFilter = status ? { ...filter, status } : filter;
+		const skip = (Math.max(Number(page) || 1, 1) - 1) * PAGE_SIZE;
+		const [referrals, listTotal] = await Promise.all([
+			Referral.find(listFilter)
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(PAGE_SIZE)
+				.populate("referrer", "name email")
+				.populate("referee", "name email")
+				.populate("order", "totalAmount createdAt"),
+			Referral.countDocuments(listFilter),
+		]);
+
+		res.json({
+			summary: {
+				signups: total,
+				pending: counts.pending || 0,
+				conversions: counts.rewarded || 0,
+				rejected: counts.rejected || 0,
+				// of the referrals that could convert
+				conversionRate: eligible ? (counts.rewarded || 0) / eligible : 0,
+				rejectedBy: Object.fromEntries(byReason.map((group) => [group._id, group.count])),
+				rewardsIssued: {
+					type: REFERRAL_REWARD_TYPE,
+					referrer: rewards[0]?.referrer || 0,
+					referee: rewards[0]?.referee || 0,
+				},
+			},
+			topReferrers,
+			referrals,
+			page: Number(page) || 1,
+			pages: Math.ceil(listTotal / PAGE_SIZE),
+		});
+	} catch (error) {
+		console.log("Error in getReferralReport controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
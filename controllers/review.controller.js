@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import Review from "../models/review.model.js";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import { updateFeaturedProductsCache } from "./product.controller.js";
+
+export const getProductReviews = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+		if (!hasValidIds(req.params)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		const filter = { product: req.params.id, status: "approved" };
+
+		const [reviews, total] = await Promise.all([
+			Review.find(filter)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.populate("user", "name"),
+			Review.countDocuments(filter),
+		]);
+
+		res.json({ reviews, total, page, pages: Math.ceil(total / limit) });
+	} catch (error) {
+		console.log("Error in getProductReviews controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createReview = async (req, res) => {
+	try {
+		const { id: productId } = req.params;
+		const { rating, comment } = req.body;
+		if (!hasValidIds(req.params)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		const product = await Product.findById(productId);
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		// only customers who actually received the product can review it
+		const hasPurchased = await Order.exists({
+			user: req.user._id,
+			status: "delivered",
+			"products.product": productId,
+		});
+		if (!hasPurchased) {
+			return res.status(403).json({ message: "You can only review products from your delivered orders" });
+		}
+
+		const existingReview = await Review.exists({ product: productId, user: req.user._id });
+		if (existingReview) {
+			return res.status(400).json({ message: "You have already reviewed this product" });
+		}
+
+		const review = await Review.create({ product: productId, user: req.user._id, rating, comment });
+		await refreshProductRating(productId);
+
+		res.status(201).json(review);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in createReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const updateReview = async (req, res) => {
+	try {
+		if (!hasValidIds(req.params)) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+		const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+		if (!review) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		if (!review.user.equals(req.user._id)) {
+			return res.status(403).json({ message: "You can only edit your own reviews" });
+		}
+
+		const { rating, comment } = req.body;
+		if (rating !== undefined) review.rating = rating;
+		if (comment !== undefined) review.comment = comment;
+
+		await review.save();
+		await refreshProductRating(review.product);
+
+		res.json(review);
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in updateReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deleteReview = async (req, res) => {
+	try {
+		if (!hasValidIds(req.params)) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+		const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+		if (!review) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		if (!review.user.equals(req.user._id) && req.user.role !== "admin") {
+			return res.status(403).json({ message: "You can only delete your own reviews" });
+		}
+
+		await review.deleteOne();
+		await refreshProductRating(review.product);
+
+		res.json({ message: "Review deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const moderateReview = async (req, res) => {
+	try {
+		const { status } = req.body;
+		if (!["approved", "hidden"].includes(status)) {
+			return res.status(400).json({ message: "Status must be either approved or hidden" });
+		}
+		if (!hasValidIds(req.params)) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		const review = await Review.findOneAndUpdate(
+			{ _id: req.params.reviewId, product: req.params.id },
+			{ status, moderatedBy: req.user._id, moderatedAt: new Date() },
+			{ new: true }
+		);
+		if (!review) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		await refreshProductRating(review.product);
+
+		res.json(review);
+	} catch (error) {
+		console.log("Error in moderateReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+async function refreshProductRating(productId) {
+	const [stats] = await Review.aggregate([
+		{ $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: "approved" } },
+		{ $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+	]);
+
+	const product = await Product.findByIdAndUpdate(
+		productId,
+		{
+			averageRating: stats ? Math.round(stats.average * 10) / 10 : 0,
+			reviewCount: stats?.count || 0,
+		},
+		{ new: true }
+	);
+
+	// featured products are served from redis, keep their stars current
+	if (product?.isFeatured) {
+		await updateFeaturedProductsCache();
+	}
+}
+
+// a malformed id can't match anything, and would make mongoose throw a CastError
+function hasValidIds(params) {
+	return [params.id, params.reviewId].every((id) => id === undefined || mongoose.isValidObjectId(id));
+}
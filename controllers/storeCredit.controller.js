@@ -0,0 +1,83 @@
+import CreditTransaction from "../models/creditTransaction.model.js";
+import User from "../models/user.model.js";
+import { CartError } from "../lib/cart.js";
+import { issueStoreCredit } from "../lib/credit.js";
+import { BASE_CURRENCY } from "../lib/currency.js";
+
+const PAGE_SIZE = 20;
+
+export const getStoreCredit = async (req, res) => {
+	try {
+		const page = Math.max(Number(req.query.page) || 1, 1);
+		const filter = { account: "store_credit", user: req.user._id, status: { $ne: "released" } };
+
+		const [transactions, total] = await Promise.all([
+			CreditTransaction.find(filter)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * PAGE_SIZE)
+				.limit(PAGE_SIZE)
+				.select("type amount status order description createdAt"),
+			CreditTransaction.countDocuments(filter),
+		]);
+
+		res.json({
+			balance: req.user.storeCredit || 0,
+			currency: BASE_CURRENCY,
+			transactions,
+			page,
+			pages: Math.ceil(total / PAGE_SIZE),
+		});
+	} catch (error) {
+		console.log("Error in getStoreCredit controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getUserStoreCredit = async (req, res) => {
+	try {
+		const user = await User.findById(req.params.userId).select("name email storeCredit");
+		if (!user) {
+			return res.status(404).json({ message: "User not found" });
+		}
+
+		const transactions = await CreditTransaction.find({ account: "store_credit", user: user._id })
+			.sort({ createdAt: -1 })
+			.populate("createdBy", "name email");
+		res.json({ user, currency: BASE_CURRENCY, transactions });
+	} catch (error) {
+		console.log("Error in getUserStoreCredit controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// goodwill credit or a correction, negative amounts take credit away
+export const adjustStoreCredit = async (req, res) => {
+	try {
+		const amount = Number(req.body.amount);
+		const { reason } = req.body;
+		if (!amount || !Number.isFinite(amount)) {
+			return res.status(400).json({ message: "Amount must be a non-zero number" });
+		}
+		if (!reason) {
+			return res.status(400).json({ message: "A reason is required" });
+		}
+		if (!(await User.exists({ _id: req.params.userId }))) {
+			return res.status(404).json({ message: "User not found" });
+		}
+
+		const transaction = await issueStoreCredit(req.params.userId, amount, {
+			type: "adjust",
+			description: reason,
+			createdBy: req.user._id,
+		});
+		const user = await User.findById(req.params.userId).select("storeCredit");
+
+		res.status(201).json({ transaction, balance: user.storeCredit });
+	} catch (error) {
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in adjustStoreCredit controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
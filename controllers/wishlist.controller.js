@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import Wishlist from "../models/wishlist.model.js";
+import Product from "../models/product.model.js";
+import { CartError, addItemToCart } from "../lib/cart.js";
+import { withEffectivePrice } from "../lib/pricing.js";
+import { findVariant, variantLabel } from "../lib/variants.js";
+
+const MAX_WISHLISTS = 20;
+const MAX_WISHLIST_ITEMS = 200;
+const PRODUCT_FIELDS = "name image price salePrice saleStartsAt saleEndsAt currencyPrices variants status category averageRating reviewCount";
+
+export const getWishlists = async (req, res) => {
+	try {
+		const wishlists = await Wishlist.find({ user: req.user._id })
+			.sort({ createdAt: 1 })
+			.populate("items.product", PRODUCT_FIELDS);
+
+		res.json(wishlists.map((wishlist) => presentWishlist(wishlist, req.currency)));
+	} catch (error) {
+		console.log("Error in getWishlists controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const createWishlist = async (req, res) => {
+	try {
+		const { name } = req.body;
+		if (typeof name !== "string" || !name.trim()) {
+			return res.status(400).json({ message: "Name is required" });
+		}
+
+		const count = await Wishlist.countDocuments({ user: req.user._id });
+		if (count >= MAX_WISHLISTS) {
+			return res.status(400).json({ message: `You can have at most ${MAX_WISHLISTS} wishlists` });
+		}
+		if (await Wishlist.exists({ user: req.user._id, name: name.trim() })) {
+			return res.status(400).json({ message: "You already have a wishlist with that name" });
+		}
+
+		const wishlist = await Wishlist.create({ user: req.user._id, name });
+		res.status(201).json(presentWishlist(wishlist, req.currency));
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in createWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const renameWishlist = async (req, res) => {
+	try {
+		const { name } = req.body;
+		if (typeof name !== "string" || !name.trim()) {
+			return res.status(400).json({ message: "Name is required" });
+		}
+
+		const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+		if (await Wishlist.exists({ user: req.user._id, name: name.trim(), _id: { $ne: wishlist._id } })) {
+			return res.status(400).json({ message: "You already have a wishlist with that name" });
+		}
+
+		wishlist.name = name;
+		await wishlist.save();
+		await wishlist.populate("items.product", PRODUCT_FIELDS);
+
+		res.json(presentWishlist(wishlist, req.currency));
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		console.log("Error in renameWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const deleteWishlist = async (req, res) => {
+	try {
+		const wishlist = await Wishlist.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		res.json({ message: "Wishlist deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const addWishlistItem = async (req, res) => {
+	try {
+		const { productId, variantId = null } = req.body;
+
+		const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		const product = await Product.findById(productId);
+		if (!product || !product.isPublished()) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		if (variantId && !findVariant(product, variantId)) {
+			return res.status(404).json({ message: "Variant not found" });
+		}
+
+		const alreadySaved = wishlist.items.some(
+			(item) => item.product.equals(productId) && (item.variant?.toString() || null) === (variantId || null)
+		);
+		if (!alreadySaved) {
+			if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+				return res.status(400).json({ message: `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} items` });
+			}
+			wishlist.items.push({ product: productId, variant: variantId || undefined });
+			await wishlist.save();
+		}
+
+		await wishlist.populate("items.product", PRODUCT_FIELDS);
+		res.json(presentWishlist(wishlist, req.currency));
+	} catch (error) {
+		console.log("Error in addWishlistItem controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const removeWishlistItem = async (req, res) => {
+	try {
+		const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		const item = wishlist.items.id(req.params.itemId);
+		if (!item) {
+			return res.status(404).json({ message: "Item not found" });
+		}
+
+		item.deleteOne();
+		await wishlist.save();
+		await wishlist.populate("items.product", PRODUCT_FIELDS);
+
+		res.json(presentWishlist(wishlist, req.currency));
+	} catch (error) {
+		console.log("Error in removeWishlistItem controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// same checks as adding to the cart directly, the item only leaves the wishlist once it's in the cart
+export const moveWishlistItemToCart = async (req, res) => {
+	try {
+		const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		const item = wishlist.items.id(req.params.itemId);
+		if (!item) {
+			return res.status(404).json({ message: "Item not found" });
+		}
+
+		await addItemToCart(req.user.cartItems, item.product, item.variant || null, { user: req.user });
+		await req.user.save();
+
+		item.deleteOne();
+		await wishlist.save();
+		await wishlist.populate("items.product", PRODUCT_FIELDS);
+
+		res.json({ cartItems: req.user.cartItems, wishlist: presentWishlist(wishlist, req.currency) });
+	} catch (error) {
+		if (error instanceof CartError) {
+			return res.status(error.status).json({ message: error.message, ...error.details });
+		}
+		console.log("Error in moveWishlistItemToCart controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const shareWishlist = async (req, res) => {
+	try {
+		const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		if (!wishlist.shareToken) {
+			wishlist.shareToken = crypto.randomBytes(18).toString("base64url");
+			await wishlist.save();
+		}
+
+		res.json({
+			shareToken: wishlist.shareToken,
+			shareUrl: `${process.env.CLIENT_URL}/wishlists/shared/${wishlist.shareToken}`,
+		});
+	} catch (error) {
+		console.log("Error in shareWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const unshareWishlist = async (req, res) => {
+	try {
+		const wishlist = await Wishlist.findOneAndUpdate(
+			{ _id: req.params.id, user: req.user._id },
+			{ $unset: { shareToken: 1 } },
+			{ new: true }
+		);
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		res.json({ message: "Wishlist is no longer shared" });
+	} catch (error) {
+		console.log("Error in unshareWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const getSharedWishlist = async (req, res) => {
+	try {
+		const wishlist = await Wishlist.findOne({ shareToken: req.params.token })
+			.populate("items.product", PRODUCT_FIELDS)
+			.populate("user", "name");
+		if (!wishlist) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		// read-only view: no ids that would let the visitor modify the list
+		const { name, items } = presentWishlist(wishlist, req.currency);
+		res.json({
+			name,
+			owner: wishlist.user?.name || null,
+			items: items.map(({ _id, ...item }) => item),
+		});
+	} catch (error) {
+		console.log("Error in getSharedWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+function presentWishlist(wishlist, currency) {
+	return {
+		_id: wishlist._id,
+		name: wishlist.name,
+		shared: Boolean(wishlist.shareToken),
+		createdAt: wishlist.createdAt,
+		updatedAt: wishlist.updatedAt,
+		items: wishlist.items.map((item) => {
+			const product = item.product?.name ? item.product : null;
+			const variant = product ? findVariant(product, item.variant) : null;
+			return {
+				_id: item._id,
+				addedAt: item.addedAt,
+				variantId: item.variant || null,
+				variantLabel: variantLabel(variant),
+				available: Boolean(product?.isPublished()),
+				product: product ? withEffectivePrice(product, currency) : null,
+			};
+		}),
+	};
+}
@@ -0,0 +1,163 @@
+import Coupon from "../models/coupon.model.js";
+import Notification from "../models/notification.model.js";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import User from "../models/user.model.js";
+import { cartItemProductId } from "./cart.js";
+import { enqueueNotification } from "./notifications.js";
+import { displayName, findVariant } from "./variants.js";
+
+const JOB_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const HOUR = 60 * 60 * 1000;
+
+// hours of inactivity before each reminder, e.g. ABANDONED_CART_REMINDER_HOURS=1,24,72
+export const REMINDER_THRESHOLDS_HOURS = (process.env.ABANDONED_CART_REMINDER_HOURS || "1,24,72")
+	.split(",")
+	.map(Number)
+	.filter((hours) => hours > 0)
+	.sort((a, b) => a - b);
+
+// the last reminder can carry a one-time coupon, 0 turns it off
+const REMINDER_COUPON_PERCENT = Number(process.env.ABANDONED_CART_COUPON_PERCENT) || 0;
+const REMINDER_COUPON_DAYS = 7;
+
+/**
+ * Sends the reminders that are due: for each stage, carts idle for longer than its threshold
+ * that have had every earlier reminder. A cart gets at most one reminder per run, so a cart idle
+ * past several thresholds gets them a run apart rather than all at once. A cart changing resets the
+ * sequence (see the user model), placing an order ends it.
+ * @returns {Promise<number>} Number of reminders enqueued
+ */
+export const processAbandonedCarts = async (now = new Date()) => {
+	let enqueued = 0;
+	const handled = new Set();
+
+	// latest stage first, a cart advanced by an earlier stage isn't picked up again by a later one
+	for (const [stage, hours] of [...REMINDER_THRESHOLDS_HOURS.entries()].reverse()) {
+		const users = await User.find({
+			"cartItems.0": { $exists: true },
+			cartUpdatedAt: { $lte: new Date(now.getTime() - hours * HOUR) },
+			cartRemindersSent: stage,
+		}).select("name email cartItems cartUpdatedAt cartRemindersSent");
+
+		for (const user of users) {
+			if (handled.has(user.id)) continue;
+			handled.add(user.id);
+
+			// only advance if the cart wasn't touched since we loaded it
+			const claim = { _id: user._id, cartUpdatedAt: user.cartUpdatedAt, cartRemindersSent: stage };
+
+			if (await Order.exists({ user: user._id, createdAt: { $gte: user.cartUpdatedAt } })) {
+				await User.updateOne(claim, { cartRemindersSent: REMINDER_THRESHOLDS_HOURS.length });
+				continue;
+			}
+
+			const isLastReminder = stage === REMINDER_THRESHOLDS_HOURS.length - 1;
+			const coupon = isLastReminder && REMINDER_COUPON_PERCENT > 0 ? await issueReminderCoupon(user._id) : null;
+
+			const notification = await enqueueNotification({
+				user: user._id,
+				type: "abandoned_cart",
+				subject: coupon
+					? `Still thinking it over? Here's ${coupon.discountPercentage}% off your cart`
+					: "You left something in your cart",
+				data: {
+					stage: stage + 1,
+					items: await summarizeCart(user.cartItems),
+					couponCode: coupon?.code || null,
+					discountPercentage: coupon?.discountPercentage || null,
+				},
+				dedupeKey: `abandoned_cart:${user._id}:${user.cartUpdatedAt.getTime()}:${stage}`,
+			});
+
+			await User.updateOne(claim, { $inc: { cartRemindersSent: 1 } });
+			if (notification) enqueued++;
+		}
+	}
+
+	if (enqueued > 0) {
+		console.log(`Enqueued ${enqueued} abandoned cart reminder(s)`);
+	}
+	return enqueued;
+};
+
+/**
+ * Drops reminders that haven't gone out yet, called once the customer places an order
+ */
+export const cancelCartReminders = async (userId) => {
+	try {
+		await Notification.updateMany(
+			{ user: userId, type: "abandoned_cart", status: "pending" },
+			{ status: "cancelled" }
+		);
+		await User.updateOne({ _id: userId }, { cartRemindersSent: REMINDER_THRESHOLDS_HOURS.length });
+	} catch (error) {
+		console.error("Error cancelling cart reminders:", error.message || error);
+	}
+};
+
+/**
+ * Carts idle past the first reminder threshold, for the admin dashboard
+ */
+export const getAbandonedCartStats = async (now = new Date()) => {
+	const idleSince = new Date(now.getTime() - (REMINDER_THRESHOLDS_HOURS[0] || 1) * HOUR);
+	const [carts, reminders] = await Promise.all([
+		User.countDocuments({ "cartItems.0": { $exists: true }, cartUpdatedAt: { $lte: idleSince } }),
+		Notification.aggregate([
+			{ $match: { type: "abandoned_cart" } },
+			{ $group: { _id: "$status", count: { $sum: 1 } } },
+		]),
+	]);
+
+	return {
+		carts,
+		reminders: Object.fromEntries(reminders.map((row) => [row._id, row.count])),
+	};
+};
+
+export const startAbandonedCartJob = () => {
+	setInterval(() => {
+		processAbandonedCarts().catch((error) => {
+			console.error("Error processing abandoned carts:", error.message || error);
+		});
+	}, JOB_INTERVAL);
+};
+
+async function summarizeCart(cartItems) {
+	const products = await Product.find({ _id: { $in: cartItems.map(cartItemProductId) } }).lean();
+
+	return cartItems
+		.map((item) => {
+			const product = products.find((p) => p._id.toString() === cartItemProductId(item));
+			if (!product) return null;
+			const variant = findVariant(product, item.variant);
+			return {
+				productId: product._id,
+				variantId: variant?._id || null,
+				name: displayName(product, variant),
+				image: variant?.image || product.image,
+				quantity: item.quantity,
+			};
+		})
+		.filter(Boolean);
+}
+
+// customers who already hold an unused personal coupon don't get another one
+async function issueReminderCoupon(userId) {
+	const existing = await Coupon.findOne({
+		userId,
+		isActive: true,
+		expirationDate: { $gt: new Date() },
+		$or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }],
+	});
+	if (existing) return null;
+
+	return Coupon.create({
+		code: "COMEBACK" + Math.random().toString(36).substring(2, 8).toUpperCase(),
+		description: "Come back offer",
+		discountPercentage: REMINDER_COUPON_PERCENT,
+		maxRedemptions: 1,
+		expirationDate: new Date(Date.now() + REMINDER_COUPON_DAYS * 24 * 60 * 60 * 1000),
+		userId,
+	});
+}
@@ -0,0 +1,92 @@
+import Product from "../models/product.model.js";
+import ProductAlert from "../models/productAlert.model.js";
+import { availableStock } from "./inventory.js";
+import { enqueueNotification } from "./notifications.js";
+import { effectivePrice } from "./pricing.js";
+import { displayName, findVariant } from "./variants.js";
+
+const SCAN_INTERVAL = 5 * 60 * 1000; // 5 minutes, catches sales that start on their own and released stock
+
+/**
+ * Whether an alert's condition currently holds for the product
+ */
+const isAlertDue = (alert, product) => {
+	const variant = alert.variant ? findVariant(product, alert.variant) : null;
+	if (alert.variant && !variant) return false;
+
+	if (alert.type === "back_in_stock") {
+		return availableStock(product, alert.variant) > 0;
+	}
+	return effectivePrice(product, variant) < alert.targetPrice;
+};
+
+/**
+ * Checks the active alerts of the given products (or of every product with active alerts)
+ * and enqueues one notification per subscriber whose condition is met. Each alert fires once.
+ * @param {Array<string>} [productIds]
+ * @returns {Promise<number>} Number of notifications enqueued
+ */
+export const evaluateAlerts = async (productIds = null) => {
+	const filter = { status: "active" };
+	if (productIds) {
+		filter.product = { $in: productIds };
+	}
+
+	const alerts = await ProductAlert.find(filter).lean();
+	if (!alerts.length) return 0;
+
+	const products = await Product.find({
+		_id: { $in: [...new Set(alerts.map((alert) => alert.product.toString()))] },
+		...Product.publishedFilter(),
+	}).lean();
+
+	let enqueued = 0;
+	for (const alert of alerts) {
+		const product = products.find((p) => p._id.equals(alert.product));
+		if (!product || !isAlertDue(alert, product)) continue;
+
+		const variant = findVariant(product, alert.variant);
+		const price = effectivePrice(product, variant);
+
+		// the dedupe key makes the enqueue the single point of truth, a retry after a crash can't send twice
+		const notification = await enqueueNotification({
+			user: alert.user,
+			type: alert.type,
+			subject:
+				alert.type === "back_in_stock"
+					? `${displayName(product, variant)} is back in stock`
+					: `${displayName(product, variant)} dropped to ${price}`,
+			data: {
+				alertId: alert._id,
+				productId: product._id,
+				variantId: alert.variant,
+				name: displayName(product, variant),
+				image: variant?.image || product.image,
+				price,
+				targetPrice: alert.targetPrice,
+			},
+			dedupeKey: `product_alert:${alert._id}`,
+		});
+
+		await ProductAlert.updateOne({ _id: alert._id, status: "active" }, { status: "triggered", triggeredAt: new Date() });
+		if (notification) enqueued++;
+	}
+
+	if (enqueued > 0) {
+		console.log(`Enqueued ${enqueued} product alert notification(s)`);
+	}
+	return enqueued;
+};
+
+/**
+ * Fire-and-forget variant for request handlers, an alert failure must not fail the admin's edit
+ */
+export const evaluateAlertsInBackground = (productIds) => {
+	evaluateAlerts(productIds).catch((error) => {
+		console.error("Error evaluating product alerts:", error.message || error);
+	});
+};
+
+export const startAlertScanner = () => {
+	setInterval(() => evaluateAlertsInBackground(), SCAN_INTERVAL);
+};
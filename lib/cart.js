@@ -0,0 +1,284 @@
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import PurchaseHold from "../models/purchaseHold.model.js";
+import { RESERVATION_TTL_SECONDS, availableStock } from "./inventory.js";
+import { displayName, findVariant, hasVariants } from "./variants.js";
+
+// store-wide rules, per-product limits live on the product
+export const MAX_QUANTITY_PER_LINE = Number(process.env.CART_MAX_QUANTITY_PER_ITEM) || 99;
+export const MIN_ORDER_VALUE = Number(process.env.MIN_ORDER_VALUE) || 0; // base currency
+
+/**
+ * A cart line or checkout that breaks a rule. `code` is stable so the frontend can show its own
+ * message, e.g. OUT_OF_STOCK, MAX_PER_ORDER, MAX_PER_CUSTOMER, NOT_PURCHASABLE, MIN_ORDER_VALUE.
+ */
+export class CartError extends Error {
+	constructor(status, code, message, details = {}) {
+		super(message);
+		this.name = "CartError";
+		this.status = status;
+		this.code = code;
+		this.details = { code, ...details };
+	}
+}
+
+// older cart lines were stored with the product id as the subdocument id
+export const cartItemProductId = (item) => (item.product || item._id).toString();
+
+export const isSameLine = (item, productId, variantId) =>
+	cartItemProductId(item) === productId.toString() &&
+	(item.variant?.toString() || null) === (variantId ? variantId.toString() : null);
+
+export const isValidQuantity = (quantity) => Number.isInteger(quantity) && quantity >= 0;
+
+/**
+ * Most units of a line that could be in a cart right now, ignoring per-customer history
+ */
+export const lineQuantityCap = (product, variantId = null) =>
+	Math.min(availableStock(product, variantId), product.maxPerOrder || Infinity, MAX_QUANTITY_PER_LINE);
+
+/**
+ * Units of a product the customer ordered within the window (all time without one), cancelled orders excluded
+ */
+export const purchasedQuantity = async (userId, productId, windowDays = null) => {
+	const match = { user: userId, status: { $ne: "cancelled" }, "products.product": productId };
+	if (windowDays) {
+		match.createdAt = { $gte: new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000) };
+	}
+
+	const [result] = await Order.aggregate([
+		{ $match: match },
+		{ $unwind: "$products" },
+		{ $match: { "products.product": productId } },
+		{ $group: { _id: null, quantity: { $sum: "$products.quantity" } } },
+	]);
+	return result?.quantity || 0;
+};
+
+/**
+ * Claims the units of a checkout that count towards per-customer limits. validateLine checks the
+ * limit when the cart is priced, this makes it hold when two checkouts run at once: every unit takes
+ * a numbered slot of the customer's allowance and a slot can only be taken once.
+ * @param {Array<{productId: string, quantity: number}>} items - The quote's lines
+ * @param {Object} user
+ * @param {string} reference - The checkout's reservation reference
+ * @throws {CartError} MAX_PER_CUSTOMER when the allowance was used up in the meantime, nothing is held then
+ */
+export const holdPurchaseLimits = async (items, user, reference) => {
+	const quantities = new Map();
+	for (const item of items) {
+		quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+	}
+	const products = await Product.find({ _id: { $in: [...quantities.keys()] }, maxPerCustomer: { $gt: 0 } });
+
+	try {
+		for (const product of products) {
+			await freeLapsedSlots(user._id, product);
+
+			// orders from before holds existed only show up in the order history
+			const purchased = await purchasedQuantity(user._id, product._id, product.limitWindowDays);
+			const committed = await PurchaseHold.countDocuments({
+				user: user._id,
+				product: product._id,
+				status: "committed",
+				slot: { $exists: true },
+			});
+			const allowance = product.maxPerCustomer - Math.max(purchased - committed, 0);
+			const taken = await PurchaseHold.distinct("slot", { user: user._id, product: product._id, slot: { $exists: true } });
+
+			let needed = quantities.get(product.id);
+			for (let slot = 1; slot <= allowance && needed > 0; slot++) {
+				if (taken.includes(slot)) continue;
+				try {
+					await PurchaseHold.create({
+						user: user._id,
+						product: product._id,
+						reference,
+						slot,
+						expiresAt: new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000),
+					});
+					needed--;
+				} catch (error) {
+					// a concurrent checkout took this slot, try the next one
+					if (error.code !== 11000) throw error;
+				}
+			}
+			if (needed > 0) {
+				throw new CartError(400, "MAX_PER_CUSTOMER", `${product.name} is limited to ${product.maxPerCustomer} per customer`, {
+					productId: product.id,
+					limit: product.maxPerCustomer,
+					windowDays: product.limitWindowDays || null,
+				});
+			}
+		}
+	} catch (error) {
+		await releasePurchaseLimits(reference);
+		throw error;
+	}
+};
+
+/**
+ * Keeps the checkout's held units against the order they became
+ */
+export const confirmPurchaseLimits = async (reference, orderId) => {
+	await PurchaseHold.updateMany({ reference, status: "pending" }, { status: "committed", order: orderId, $unset: { expiresAt: 1 } });
+};
+
+/**
+ * Gives the checkout's held units back, e.g. when the checkout fails
+ */
+export const releasePurchaseLimits = async (reference) => {
+	await PurchaseHold.updateMany({ reference, status: "pending" }, { status: "released", $unset: { slot: 1 } });
+};
+
+/**
+ * Checks one cart line, at the quantity it would have, against every purchase rule.
+ * @param {Object} product - Product document, may be null when it no longer exists
+ * @param {string} [variantId]
+ * @param {number} quantity
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Per-customer limits are only checked for signed-in users
+ * @param {Array} [options.cartItems] - The whole cart, maxPerOrder covers every variant of a product
+ * @throws {CartError}
+ */
+export const validateLine = async (product, variantId, quantity, { user = null, cartItems = [] } = {}) => {
+	if (!product || !product.isPublished()) {
+		throw new CartError(404, "PRODUCT_UNAVAILABLE", `${product?.name || "This product"} is no longer available`, {
+			productId: product?.id || null,
+		});
+	}
+	const productId = product.id;
+
+	if (product.isPurchasable === false) {
+		throw new CartError(400, "NOT_PURCHASABLE", `${product.name} can't be bought online`, { productId });
+	}
+	if (hasVariants(product) && !variantId) {
+		throw new CartError(400, "VARIANT_REQUIRED", "Please choose an option for this product", { productId });
+	}
+	const variant = findVariant(product, variantId);
+	if (variantId && !variant) {
+		throw new CartError(404, "VARIANT_NOT_FOUND", "Variant not found", { productId, variantId });
+	}
+
+	if (!isValidQuantity(quantity) || quantity === 0) {
+		throw new CartError(400, "INVALID_QUANTITY", "Quantity must be a positive whole number", { productId, variantId });
+	}
+	if (quantity > MAX_QUANTITY_PER_LINE) {
+		throw new CartError(400, "MAX_QUANTITY", `You can add up to ${MAX_QUANTITY_PER_LINE} of an item`, {
+			productId,
+			variantId,
+			limit: MAX_QUANTITY_PER_LINE,
+		});
+	}
+
+	const available = availableStock(product, variantId);
+	if (available < quantity) {
+		throw new CartError(
+			400,
+			"OUT_OF_STOCK",
+			available > 0 ? `Only ${available} of ${displayName(product, variant)} left in stock` : `${displayName(product, variant)} is out of stock`,
+			{ productId, variantId, available }
+		);
+	}
+
+	// the per-product limits count every variant of the product together
+	const otherLines = cartItems
+		.filter((item) => cartItemProductId(item) === productId && !isSameLine(item, productId, variantId))
+		.reduce((sum, item) => sum + item.quantity, 0);
+	const productQuantity = quantity + otherLines;
+
+	if (product.maxPerOrder && productQuantity > product.maxPerOrder) {
+		throw new CartError(400, "MAX_PER_ORDER", `${product.name} is limited to ${product.maxPerOrder} per order`, {
+			productId,
+			variantId,
+			limit: product.maxPerOrder,
+		});
+	}
+
+	if (product.maxPerCustomer && user) {
+		const purchased = await purchasedQuantity(user._id, product._id, product.limitWindowDays);
+		if (purchased + productQuantity > product.maxPerCustomer) {
+			throw new CartError(400, "MAX_PER_CUSTOMER", `${product.name} is limited to ${product.maxPerCustomer} per customer`, {
+				productId,
+				variantId,
+				limit: product.maxPerCustomer,
+				purchased,
+				remaining: Math.max(product.maxPerCustomer - purchased - otherLines, 0),
+				windowDays: product.limitWindowDays || null,
+			});
+		}
+	}
+};
+
+/**
+ * Validates every line of a cart, as checkout does before pricing or charging
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {Object} [options]
+ * @param {Object} [options.user]
+ * @returns {Promise<Array<{item: Object, product: Object, variant: Object|null}>>} The lines with their products loaded
+ * @throws {CartError}
+ */
+export const validateCartLines = async (items, { user = null } = {}) => {
+	if (!items?.length) {
+		throw new CartError(400, "EMPTY_CART", "Your cart is empty");
+	}
+
+	const catalog = await Product.find({ _id: { $in: items.map(cartItemProductId) } });
+	const lines = [];
+	for (const item of items) {
+		const product = catalog.find((p) => p.id === cartItemProductId(item)) || null;
+		const variantId = item.variant ? item.variant.toString() : null;
+		await validateLine(product, variantId, item.quantity, { user, cartItems: items });
+		lines.push({ item, product, variant: findVariant(product, variantId) });
+	}
+	return lines;
+};
+
+/**
+ * Adds one unit of a product (or variant) to a list of cart lines, checking that it can be bought.
+ * The caller persists the list.
+ * @param {Array} cartItems - user.cartItems or a guest cart's items
+ * @param {string} productId
+ * @param {string} [variantId]
+ * @param {Object} [options]
+ * @param {Object} [options.user] - The shopper, for per-customer limits
+ * @throws {CartError}
+ */
+export const addItemToCart = async (cartItems, productId, variantId = null, { user = null } = {}) => {
+	const product = await Product.findById(productId);
+
+	const existingItem = cartItems.find((item) => isSameLine(item, productId, variantId));
+	const requested = existingItem ? existingItem.quantity + 1 : 1;
+	await validateLine(product, variantId, requested, { user, cartItems });
+
+	if (existingItem) {
+		existingItem.quantity += 1;
+	} else {
+		cartItems.push({ product: productId, variant: variantId || undefined, quantity: 1 });
+	}
+};
+
+// abandoned checkouts, purchases that left the window and cancelled orders stop counting
+async function freeLapsedSlots(userId, product) {
+	await PurchaseHold.updateMany(
+		{ user: userId, product: product._id, status: "pending", expiresAt: { $lte: new Date() } },
+		{ status: "released", $unset: { slot: 1 } }
+	);
+
+	const committed = await PurchaseHold.find({
+		user: userId,
+		product: product._id,
+		status: "committed",
+		slot: { $exists: true },
+	}).select("order createdAt");
+	if (!committed.length) return;
+
+	const windowStart = product.limitWindowDays ? new Date(Date.now() - product.limitWindowDays * 24 * 60 * 60 * 1000) : null;
+	const cancelled = await Order.find({ _id: { $in: committed.map((hold) => hold.order) }, status: "cancelled" }).distinct("_id");
+	const lapsed = committed.filter(
+		(hold) => (windowStart && hold.createdAt < windowStart) || cancelled.some((orderId) => orderId.equals(hold.order))
+	);
+	if (lapsed.length) {
+		await PurchaseHold.updateMany({ _id: { $in: lapsed.map((hold) => hold._id) } }, { $unset: { slot: 1 } });
+	}
+}
@@ -0,0 +1,107 @@
+import { redis } from "./redis.js";
+import Category from "../models/category.model.js";
+
+const TREE_CACHE_KEY = "category_tree";
+
+/**
+ * "Running Shoes" -> "running-shoes"
+ */
+export const slugify = (value) =>
+	String(value)
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+
+/**
+ * Finds a category by slug. Display names work too ("Running Shoes"), they're slugified first.
+ * @returns {Promise<Object|null>}
+ */
+export const findCategory = async (value) => {
+	if (!value) return null;
+	return Category.findOne({ slug: slugify(value) }).lean();
+};
+
+/**
+ * Nested category tree ordered by displayOrder, served from redis when possible
+ * @returns {Promise<Array>}
+ */
+export const getCategoryTree = async () => {
+	// the cache is only a shortcut, a redis outage falls back to building the tree from mongo
+	try {
+		const cached = await redis.get(TREE_CACHE_KEY);
+		if (cached) {
+			return JSON.parse(cached);
+		}
+	} catch (error) {
+		console.log("error reading category tree cache", error.message);
+	}
+
+	const categories = await Category.find({}).sort({ displayOrder: 1, name: 1 }).lean();
+	const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+	const roots = [];
+
+	for (const node of nodes.values()) {
+		const parent = node.parent && nodes.get(node.parent.toString());
+		if (parent) {
+			parent.children.push(node);
+		} else {
+			roots.push(node);
+		}
+	}
+
+	try {
+		await redis.set(TREE_CACHE_KEY, JSON.stringify(roots));
+	} catch (error) {
+		console.log("error caching category tree", error.message);
+	}
+	return roots;
+};
+
+export const invalidateCategoryTree = async () => {
+	try {
+		await redis.del(TREE_CACHE_KEY);
+	} catch (error) {
+		console.log("error clearing category tree cache", error.message);
+	}
+};
+
+/**
+ * The slug itself plus the slugs of every category below it
+ * @param {string} slug
+ * @returns {Promise<string[]>}
+ */
+export const descendantSlugs = async (slug) => {
+	const tree = await getCategoryTree();
+
+	const find = (nodes) => {
+		for (const node of nodes) {
+			if (node.slug === slug) return node;
+			const match = find(node.children);
+			if (match) return match;
+		}
+		return null;
+	};
+
+	const collect = (node) => [node.slug, ...node.children.flatMap(collect)];
+
+	const root = find(tree);
+	return root ? collect(root) : [];
+};
+
+/**
+ * Whether making `parentId` the parent of `categoryId` would create a loop
+ */
+export const createsCycle = async (categoryId, parentId) => {
+	let current = parentId ? parentId.toString() : null;
+	const seen = new Set();
+
+	while (current) {
+		if (current === categoryId.toString() || seen.has(current)) return true;
+		seen.add(current);
+		const parent = await Category.findById(current).select("parent").lean();
+		current = parent?.parent ? parent.parent.toString() : null;
+	}
+	return false;
+};
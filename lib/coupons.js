@@ -0,0 +1,211 @@
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import { CartError } from "./cart.js";
+import { RESERVATION_TTL_SECONDS } from "./inventory.js";
+import { convertFromBase, toMinorUnits } from "./currency.js";
+
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// statuses that use up one of the coupon's redemptions
+const COUNTED_STATUSES = ["pending", "redeemed"];
+
+// matches a coupon that has redemptions left
+const UNDER_REDEMPTION_LIMIT = { $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }] };
+
+export const findCouponByCode = (code) => Coupon.findOne({ code: String(code || "").trim().toUpperCase() });
+
+/**
+ * Checks that a customer may use the coupon on a cart of the given subtotal
+ * @param {Object} coupon - May be null when the code doesn't exist
+ * @param {Object} user
+ * @param {number} subtotal - Cart subtotal before discounts, in the base currency
+ * @throws {CartError}
+ */
+export const assertCouponUsable = async (coupon, user, subtotal, now = new Date()) => {
+	if (!coupon || (coupon.userId && !coupon.userId.equals(user._id))) {
+		throw new CartError(404, "COUPON_NOT_FOUND", "Coupon not found");
+	}
+	const couponCode = coupon.code;
+
+	if (!coupon.isActive) {
+		throw new CartError(400, "COUPON_INACTIVE", "This coupon is no longer active", { couponCode });
+	}
+	if (coupon.startsAt && coupon.startsAt > now) {
+		throw new CartError(400, "COUPON_NOT_STARTED", "This coupon can't be used yet", { couponCode, startsAt: coupon.startsAt });
+	}
+	if (coupon.expirationDate && coupon.expirationDate <= now) {
+		throw new CartError(400, "COUPON_EXPIRED", "This coupon has expired", { couponCode });
+	}
+	if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+		throw new CartError(400, "COUPON_USAGE_LIMIT", "This coupon has been fully redeemed", { couponCode });
+	}
+	if (subtotal < coupon.minOrderValue) {
+		throw new CartError(400, "COUPON_MIN_ORDER", `This coupon needs an order of at least ${coupon.minOrderValue}`, {
+			couponCode,
+			minOrderValue: coupon.minOrderValue,
+		});
+	}
+
+	const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: user._id, status: { $in: COUNTED_STATUSES } });
+	if (used >= coupon.maxRedemptionsPerUser) {
+		throw new CartError(400, "COUPON_USER_LIMIT", "You have already used this coupon", { couponCode });
+	}
+};
+
+/**
+ * Discount the coupon gives on a subtotal, both in minor units of the charged currency
+ * @param {Object} coupon
+ * @param {number} subtotal - Minor units
+ * @param {{code: string, rate: number}} currency
+ * @returns {number}
+ */
+export const couponDiscount = (coupon, subtotal, currency) => {
+	const discount =
+		coupon.discountType === "fixed"
+			? toMinorUnits(convertFromBase(coupon.discountAmount, currency), currency.code)
+			: Math.round((subtotal * coupon.discountPercentage) / 100);
+	return Math.min(discount, subtotal);
+};
+
+export const describeCoupon = (coupon) =>
+	coupon.description ||
+	(coupon.discountType === "fixed" ? `${coupon.discountAmount} off` : `${coupon.discountPercentage}% off`);
+
+/**
+ * Takes one of the coupon's redemptions for a checkout. The total limit is claimed with a conditional
+ * increment and the per-customer limit through the unique slot index, so concurrent checkouts can't
+ * overshoot either. The hold expires with the checkout's stock reservation unless confirmed.
+ * @param {string} couponId
+ * @param {Object} user
+ * @param {Object} details
+ * @param {string} details.reference - The checkout's reservation reference
+ * @param {number} details.amount - Discount in the charged currency
+ * @param {string} details.currency
+ * @throws {CartError} When a limit was reached in the meantime
+ */
+export const holdRedemption = async (couponId, user, { reference, amount, currency }) => {
+	const coupon = await Coupon.findOneAndUpdate(
+		{ _id: couponId, isActive: true, ...UNDER_REDEMPTION_LIMIT },
+		{ $inc: { redemptionCount: 1 } },
+		{ new: true }
+	);
+	if (!coupon) {
+		throw new CartError(400, "COUPON_USAGE_LIMIT", "This coupon has been fully redeemed");
+	}
+
+	try {
+		const claimed = await takeFreeSlot(coupon, user._id, (slot) =>
+			CouponRedemption.create({
+				coupon: coupon._id,
+				code: coupon.code,
+				user: user._id,
+				reference,
+				slot,
+				amount,
+				currency,
+				expiresAt: new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000),
+			})
+		);
+		if (!claimed) {
+			throw new CartError(400, "COUPON_USER_LIMIT", "You have already used this coupon", { couponCode: coupon.code });
+		}
+	} catch (error) {
+		await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+		throw error;
+	}
+};
+
+/**
+ * Marks the checkout's redemption as used by the order. When it was already released, because the
+ * payment landed after the checkout expired, the redemption is claimed again against both limits.
+ * @returns {Promise<boolean>} false when the released redemption couldn't be claimed again, a limit was reached in the meantime
+ */
+export const confirmRedemption = async (reference, orderId) => {
+	const confirmed = await CouponRedemption.updateOne(
+		{ reference, status: "pending" },
+		{ status: "redeemed", order: orderId, redeemedAt: new Date(), $unset: { expiresAt: 1 } }
+	);
+	if (confirmed.modifiedCount) return true;
+
+	const redemption = await CouponRedemption.findOne({ reference, status: "released" });
+	if (!redemption) return true;
+
+	// the customer already paid the discounted price, so a coupon deactivated since doesn't stop the claim
+	const coupon = await Coupon.findOneAndUpdate(
+		{ _id: redemption.coupon, ...UNDER_REDEMPTION_LIMIT },
+		{ $inc: { redemptionCount: 1 } },
+		{ new: true }
+	);
+	if (!coupon) return false;
+
+	const claimed = await takeFreeSlot(coupon, redemption.user, (slot) =>
+		CouponRedemption.updateOne(
+			{ _id: redemption._id, status: "released" },
+			{ status: "redeemed", slot, order: orderId, redeemedAt: new Date() }
+		)
+	);
+	if (!claimed) {
+		await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+	}
+	return claimed;
+};
+
+/**
+ * Gives a pending redemption back, e.g. when the checkout fails or is abandoned
+ */
+export const releaseRedemption = async (reference) => {
+	const redemption = await CouponRedemption.findOneAndUpdate(
+		{ reference, status: "pending" },
+		{ status: "released", $unset: { slot: 1 } }
+	);
+	if (redemption) {
+		await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { redemptionCount: -1 } });
+	}
+};
+
+/**
+ * Undoes an order's coupon use once the order is cancelled or fully refunded, so it counts
+ * towards neither limit any more
+ */
+export const reverseRedemption = async (orderId) => {
+	const redemption = await CouponRedemption.findOneAndUpdate(
+		{ order: orderId, status: "redeemed" },
+		{ status: "reversed", $unset: { slot: 1 } }
+	);
+	if (redemption) {
+		await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { redemptionCount: -1 } });
+	}
+};
+
+export const releaseExpiredRedemptions = async () => {
+	const expired = await CouponRedemption.find({ status: "pending", expiresAt: { $lte: new Date() } }).select("reference");
+	for (const redemption of expired) {
+		await releaseRedemption(redemption.reference);
+	}
+	return expired.length;
+};
+
+export const startRedemptionSweeper = () => {
+	setInterval(() => {
+		releaseExpiredRedemptions().catch((error) => {
+			console.error("Error releasing expired coupon redemptions:", error.message || error);
+		});
+	}, SWEEP_INTERVAL);
+};
+
+// released and reversed redemptions free their slot, so write to the lowest free one rather than count + 1.
+// false when the customer has no slot left
+async function takeFreeSlot(coupon, userId, write) {
+	const taken = await CouponRedemption.distinct("slot", { coupon: coupon._id, user: userId, slot: { $exists: true } });
+	for (let slot = 1; slot <= coupon.maxRedemptionsPerUser; slot++) {
+		if (taken.includes(slot)) continue;
+		try {
+			await write(slot);
+			return true;
+		} catch (error) {
+			// a concurrent checkout took this slot, try the next one
+			if (error.code !== 11000 || error.keyPattern?.reference) throw error;
+		}
+	}
+	return false;
+}
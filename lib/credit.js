@@ -0,0 +1,384 @@
+import crypto from "crypto";
+import CreditTransaction from "../models/creditTransaction.model.js";
+import GiftCard from "../models/giftCard.model.js";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import User from "../models/user.model.js";
+import { CartError } from "./cart.js";
+import { RESERVATION_TTL_SECONDS } from "./inventory.js";
+import { enqueueNotification } from "./notifications.js";
+import {
+	BASE_CURRENCY,
+	convertFromBase,
+	convertToBase,
+	fromMinorUnits,
+	isZeroDecimal,
+	roundAmount,
+	toMinorUnits,
+} from "./currency.js";
+
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// no 0/O or 1/I, codes get read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 16;
+
+export const generateGiftCardCode = () =>
+	Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+
+// customers type codes with dashes and spaces, e.g. ABCD-EFGH-JKLM-NPQR
+export const normalizeGiftCardCode = (code) => String(code || "").replace(/[\s-]/g, "").toUpperCase();
+
+export const findGiftCard = (code) => GiftCard.findOne({ code: normalizeGiftCardCode(code) });
+
+export const isGiftCardUsable = (card, now = new Date()) =>
+	card.status === "active" && (!card.expiresAt || card.expiresAt > now) && card.balance > 0;
+
+/**
+ * Works out how gift cards, then store credit, pay for what is owed. Cards are used in the given order.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {Array<string>} [params.giftCardCodes]
+ * @param {boolean} [params.useStoreCredit]
+ * @param {number} params.amountDue - Minor units of the charged currency
+ * @param {{code: string, rate: number}} params.currency
+ * @returns {Promise<Array<{type: string, giftCardId?: string, code?: string, amount: number, baseAmount: number}>>}
+ *   amount in minor units, baseAmount is what comes off the balance
+ * @throws {CartError}
+ */
+export const applyCredits = async ({ user, giftCardCodes = [], useStoreCredit = false, amountDue, currency }) => {
+	const payments = [];
+	let due = amountDue;
+
+	for (const code of new Set(giftCardCodes.map(normalizeGiftCardCode))) {
+		const card = await findGiftCard(code);
+		if (!card) {
+			throw new CartError(404, "GIFT_CARD_NOT_FOUND", "Gift card not found", { giftCardCode: code });
+		}
+		if (!isGiftCardUsable(card)) {
+			throw new CartError(400, "GIFT_CARD_UNUSABLE", "This gift card has no balance left or can no longer be used", {
+				giftCardCode: code,
+			});
+		}
+		if (due <= 0) break;
+
+		const { amount, baseAmount } = spend(card.balance, due, currency);
+		payments.push({ type: "gift_card", giftCardId: card.id, code: card.code, amount, baseAmount });
+		due -= amount;
+	}
+
+	if (useStoreCredit && due > 0 && user.storeCredit > 0) {
+		const { amount, baseAmount } = spend(user.storeCredit, due, currency);
+		payments.push({ type: "store_credit", amount, baseAmount });
+	}
+
+	return payments;
+};
+
+/**
+ * Takes the quote's gift card and store credit payments off their balances for an open checkout
+ * @throws {CartError} When a balance went down since the quote
+ */
+export const holdCredits = async (payments, user, checkout) => {
+	const expiresAt = new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000);
+
+	for (const payment of payments) {
+		if (payment.type === "gift_card") {
+			const updated = await GiftCard.updateOne(
+				{ _id: payment.giftCardId, status: "active", balance: { $gte: payment.baseAmount } },
+				adjustBalance("balance", -payment.baseAmount)
+			);
+			if (!updated.modifiedCount) {
+				throw new CartError(400, "GIFT_CARD_BALANCE_CHANGED", "A gift card balance changed, please review your order again", {
+					giftCardCode: payment.code,
+				});
+			}
+		} else {
+			const updated = await User.updateOne(
+				{ _id: user._id, storeCredit: { $gte: payment.baseAmount } },
+				adjustBalance("storeCredit", -payment.baseAmount)
+			);
+			if (!updated.modifiedCount) {
+				throw new CartError(400, "STORE_CREDIT_CHANGED", "Your store credit changed, please review your order again");
+			}
+		}
+
+		await CreditTransaction.create({
+			account: payment.type,
+			giftCard: payment.giftCardId || null,
+			user: user._id,
+			type: "redeem",
+			amount: -payment.baseAmount,
+			status: "pending",
+			checkout,
+			expiresAt,
+			description: payment.type === "gift_card" ? `Spent at checkout` : "Store credit spent at checkout",
+		});
+	}
+};
+
+/**
+ * Posts the checkout's held balances against its order. Holds the sweeper already released, because
+ * the payment landed after the checkout expired, are taken off the balances again.
+ * @returns {Promise<boolean>} false when a released balance couldn't be taken again, it was spent in the meantime
+ */
+export const confirmCredits = async (checkout, orderId) => {
+	await CreditTransaction.updateMany(
+		{ checkout, status: "pending" },
+		{ status: "posted", order: orderId, $unset: { expiresAt: 1 } }
+	);
+
+	let confirmed = true;
+	for (const hold of await CreditTransaction.find({ checkout, status: "released" })) {
+		const claimed = await CreditTransaction.updateOne(
+			{ _id: hold._id, status: "released" },
+			{ status: "posted", order: orderId, $unset: { expiresAt: 1 } }
+		);
+		if (!claimed.modifiedCount) continue;
+
+		const updated =
+			hold.account === "gift_card"
+				? await GiftCard.updateOne(
+						{ _id: hold.giftCard, status: "active", balance: { $gte: -hold.amount } },
+						adjustBalance("balance", hold.amount)
+				  )
+				: await User.updateOne({ _id: hold.user, storeCredit: { $gte: -hold.amount } }, adjustBalance("storeCredit", hold.amount));
+		if (!updated.modifiedCount) {
+			await CreditTransaction.updateOne({ _id: hold._id }, { status: "released", order: null });
+			confirmed = false;
+		}
+	}
+	return confirmed;
+};
+
+/**
+ * Puts held balances back when the checkout fails or is abandoned
+ */
+export const releaseCredits = async (checkout) => {
+	const holds = await CreditTransaction.find({ checkout, status: "pending" });
+
+	for (const hold of holds) {
+		const claimed = await CreditTransaction.updateOne({ _id: hold._id, status: "pending" }, { status: "released" });
+		if (!claimed.modifiedCount) continue;
+
+		if (hold.account === "gift_card") {
+			await GiftCard.updateOne({ _id: hold.giftCard }, adjustBalance("balance", -hold.amount));
+		} else {
+			await User.updateOne({ _id: hold.user }, adjustBalance("storeCredit", -hold.amount));
+		}
+	}
+};
+
+export const releaseExpiredCredits = async () => {
+	const checkouts = await CreditTransaction.distinct("checkout", { status: "pending", expiresAt: { $lte: new Date() } });
+	for (const checkout of checkouts) {
+		await releaseCredits(checkout);
+	}
+	return checkouts.length;
+};
+
+export const startCreditSweeper = () => {
+	setInterval(() => {
+		releaseExpiredCredits().catch((error) => {
+			console.error("Error releasing expired credit holds:", error.message || error);
+		});
+	}, SWEEP_INTERVAL);
+};
+
+/**
+ * Adds store credit to a customer's balance, e.g. for a refund or a goodwill gesture
+ * @param {string} userId
+ * @param {number} amount - Base currency, negative to take credit away
+ * @param {Object} details
+ * @param {string} [details.type] - "issue", "refund" or "adjust"
+ * @param {string} [details.reference] - Repeating a reference does nothing
+ * @returns {Promise<Object|null>} The ledger entry, or null if the reference was already used
+ */
+export const issueStoreCredit = async (userId, amount, { type = "issue", reference, order = null, description = "", createdBy } = {}) => {
+	let entry;
+	try {
+		entry = await CreditTransaction.create({
+			account: "store_credit",
+			user: userId,
+			type,
+			amount,
+			order,
+			reference,
+			description,
+			createdBy,
+		});
+	} catch (error) {
+		if (error.code === 11000) return null;
+		throw error;
+	}
+
+	const updated = await User.updateOne(
+		amount < 0 ? { _id: userId, storeCredit: { $gte: -amount } } : { _id: userId },
+		adjustBalance("storeCredit", amount)
+	);
+	if (!updated.modifiedCount) {
+		await entry.deleteOne();
+		throw new CartError(400, "STORE_CREDIT_INSUFFICIENT", "The customer doesn't have that much store credit");
+	}
+	return entry;
+};
+
+/**
+ * Creates a gift card and its opening ledger entry
+ * @param {Object} params
+ * @param {number} params.amount - Base currency
+ * @param {string} [params.sourceReference] - Issuing twice with the same reference returns the first card
+ * @returns {Promise<Object>} The gift card
+ */
+export const issueGiftCard = async ({ amount, purchaser = null, order = null, sourceReference, issuedBy, note = "", expiresAt = null }) => {
+	if (sourceReference) {
+		const existing = await GiftCard.findOne({ sourceReference });
+		if (existing) return existing;
+	}
+
+	let card;
+	try {
+		card = await GiftCard.create({
+			code: generateGiftCardCode(),
+			initialBalance: amount,
+			balance: amount,
+			purchaser,
+			order,
+			sourceReference,
+			issuedBy,
+			note,
+			expiresAt,
+		});
+	} catch (error) {
+		// a concurrent call issued the card for this source first
+		if (error.code !== 11000 || !error.keyPattern?.sourceReference) throw error;
+		return GiftCard.findOne({ sourceReference });
+	}
+	await CreditTransaction.create({
+		account: "gift_card",
+		giftCard: card._id,
+		user: purchaser,
+		type: "issue",
+		amount,
+		order,
+		createdBy: issuedBy,
+		description: order ? `Bought with order ${order}` : note || "Issued by the store",
+	});
+	return card;
+};
+
+/**
+ * Issues one gift card per unit of each gift card line of a paid order and sends the codes to the buyer.
+ * Safe to call again for the same order.
+ * @param {Object} order - Order document
+ * @returns {Promise<Array>} The order's gift cards
+ */
+export const issueOrderGiftCards = async (order) => {
+	const productIds = order.products.map((line) => line.product);
+	const giftCardProducts = await Product.find({ _id: { $in: productIds }, productType: "gift_card" }).select("_id name");
+	if (!giftCardProducts.length) return [];
+
+	const cards = [];
+	for (const [index, line] of order.products.entries()) {
+		if (!giftCardProducts.some((product) => product._id.equals(line.product))) continue;
+
+		for (let unit = 0; unit < line.quantity; unit++) {
+			cards.push(
+				await issueGiftCard({
+					amount: line.price,
+					purchaser: order.user,
+					order: order._id,
+					sourceReference: `${order._id}:${index}:${unit}`,
+				})
+			);
+		}
+	}
+
+	await Order.updateOne({ _id: order._id }, { $addToSet: { giftCardsIssued: { $each: cards.map((card) => card._id) } } });
+	await enqueueNotification({
+		user: order.user,
+		type: "gift_card_purchased",
+		subject: cards.length > 1 ? "Your gift cards are ready" : "Your gift card is ready",
+		data: { orderId: order._id, giftCards: cards.map((card) => ({ code: card.code, balance: card.balance })) },
+		dedupeKey: `gift_cards:${order._id}`,
+	});
+	return cards;
+};
+
+/**
+ * Takes value back off the gift cards a refunded order bought, oldest card first. A card left empty is disabled.
+ * Repeating a reference does nothing.
+ * @param {Array<string>} giftCardIds
+ * @param {number} amount - Base currency
+ * @param {Object} details
+ * @param {string} details.reference
+ * @param {string} [details.order]
+ * @throws {CartError} When the cards don't hold that much anymore, nothing is taken then
+ */
+export const clawBackGiftCards = async (giftCardIds, amount, { reference, order = null }) => {
+	const cards = await GiftCard.find({ _id: { $in: giftCardIds } }).sort({ createdAt: 1 });
+	const done = await CreditTransaction.find({ reference: { $in: cards.map((card) => `${reference}:${card._id}`) } });
+	let left = roundAmount(amount + done.reduce((sum, entry) => sum + entry.amount, 0), BASE_CURRENCY);
+
+	for (const card of cards) {
+		if (left <= 0) break;
+		if (done.some((entry) => entry.giftCard.equals(card._id)) || card.status !== "active" || card.balance <= 0) continue;
+
+		const take = Math.min(card.balance, left);
+		const updated = await GiftCard.findOneAndUpdate(
+			{ _id: card._id, status: "active", balance: { $gte: take } },
+			[...adjustBalance("balance", -take), { $set: { status: { $cond: [{ $gt: ["$balance", 0] }, "$status", "disabled"] } } }],
+			{ new: true }
+		);
+		if (!updated) continue;
+
+		await CreditTransaction.create({
+			account: "gift_card",
+			giftCard: card._id,
+			user: card.purchaser,
+			type: "refund",
+			amount: -take,
+			order,
+			reference: `${reference}:${card._id}`,
+			disabledCard: updated.status === "disabled",
+			description: order ? `Taken back, order ${order} was refunded` : "Taken back by a refund",
+		});
+		left = roundAmount(left - take, BASE_CURRENCY);
+	}
+
+	if (left > 0) {
+		await returnGiftCards(giftCardIds, reference);
+		throw new CartError(409, "GIFT_CARD_SPENT", "The gift cards bought with this order have already been spent", {
+			giftCardShortfall: left,
+		});
+	}
+};
+
+/**
+ * Puts back what clawBackGiftCards took for a reference, e.g. when the rest of the refund failed.
+ * Only cards the clawback disabled are enabled again, one an admin disabled stays disabled.
+ */
+export const returnGiftCards = async (giftCardIds, reference) => {
+	for (const giftCardId of giftCardIds) {
+		const entry = await CreditTransaction.findOneAndDelete({ reference: `${reference}:${giftCardId}` });
+		if (!entry) continue;
+		await GiftCard.updateOne({ _id: giftCardId }, [
+			...adjustBalance("balance", -entry.amount),
+			...(entry.disabledCard ? [{ $set: { status: "active" } }] : []),
+		]);
+	}
+};
+
+// what a balance (base currency) covers of the amount due (minor units)
+function spend(balance, due, currency) {
+	const available = toMinorUnits(convertFromBase(balance, currency), currency.code);
+	if (available <= due) {
+		return { amount: available, baseAmount: balance };
+	}
+	return { amount: due, baseAmount: Math.min(convertToBase(fromMinorUnits(due, currency.code), currency), balance) };
+}
+
+// $inc would leave float dust on money, round to what the base currency can hold
+function adjustBalance(field, delta) {
+	return [{ $set: { [field]: { $round: [{ $add: [`$${field}`, delta] }, isZeroDecimal(BASE_CURRENCY) ? 0 : 2] } } }];
+}
@@ -0,0 +1,41 @@
+import { getRates } from "./currency.js";
+
+const NATIVE_TOKEN = "0x0000000000000000000000000000000000000000";
+
+// tokens the payment contract is accepted in, as symbol:address:decimals with no address for native ETH,
+// e.g. CRYPTO_TOKENS=eth::18,usdc:0xa0b8...:6. Each needs an exchange rate under its symbol.
+const ACCEPTED_TOKENS = (process.env.CRYPTO_TOKENS || "eth::18").split(",").map((entry) => {
+	const [symbol, address, decimals] = entry.trim().split(":");
+	return {
+		symbol: symbol.toLowerCase(),
+		address: address ? address.toLowerCase() : null,
+		decimals: Number(decimals) || 18,
+	};
+});
+
+// the rate can move between the quote and the transaction being mined
+const TOLERANCE_PERCENT = Number(process.env.CRYPTO_PAYMENT_TOLERANCE) || 1;
+
+/**
+ * The accepted token paid with, from the tokenAddress of a PaymentProcessed event
+ * @returns {{symbol: string, address: string|null, decimals: number}|null}
+ */
+export const findAcceptedToken = (tokenAddress) => {
+	const address = !tokenAddress || tokenAddress.toLowerCase() === NATIVE_TOKEN ? null : tokenAddress.toLowerCase();
+	return ACCEPTED_TOKENS.find((token) => token.address === address) || null;
+};
+
+/**
+ * Least the quote's amount due comes to in the token's smallest unit
+ * @param {Object} quote
+ * @param {{symbol: string, decimals: number}} token
+ * @returns {Promise<bigint|null>} null when there is no exchange rate for the token
+ */
+export const expectedTokenAmount = async (quote, token) => {
+	const rate = (await getRates())[token.symbol];
+	if (!rate) return null;
+
+	const amount = quote.baseAmountDue * rate * (1 - TOLERANCE_PERCENT / 100);
+	// scaled in two steps, 18 decimals don't fit a float
+	return (BigInt(Math.floor(amount * 1e6)) * 10n ** BigInt(token.decimals)) / 1000000n;
+};
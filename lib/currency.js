@@ -0,0 +1,63 @@
+import { redis, getOrSetCache } from "./redis.js";
+import ExchangeRate from "../models/exchangeRate.model.js";
+
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || "usd").toLowerCase();
+
+const RATES_CACHE_KEY = "exchange_rates";
+const RATES_CACHE_TTL = 5 * 60; // 5 minutes
+
+// currencies stripe charges in whole units, https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = new Set([
+	"bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf",
+]);
+
+export const isZeroDecimal = (currency) => ZERO_DECIMAL_CURRENCIES.has(currency.toLowerCase());
+
+/**
+ * Rounds an amount to what the currency can actually represent
+ */
+export const roundAmount = (amount, currency) => {
+	if (isZeroDecimal(currency)) return Math.round(amount);
+	return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Amount in the smallest unit stripe expects (cents, or whole yen for zero-decimal currencies)
+ */
+export const toMinorUnits = (amount, currency) => Math.round(isZeroDecimal(currency) ? amount : amount * 100);
+
+export const fromMinorUnits = (amount, currency) => (isZeroDecimal(currency) ? amount : amount / 100);
+
+/**
+ * Exchange rates keyed by currency, the base currency is always present with rate 1
+ * @returns {Promise<Object<string, number>>}
+ */
+export const getRates = async () => {
+	const rates = await getOrSetCache(
+		RATES_CACHE_KEY,
+		async () => {
+			const rows = await ExchangeRate.find({}).lean();
+			return Object.fromEntries(rows.map((row) => [row.currency, row.rate]));
+		},
+		RATES_CACHE_TTL
+	);
+	return { ...(rates || {}), [BASE_CURRENCY]: 1 };
+};
+
+export const invalidateRates = async () => {
+	try {
+		await redis.del(RATES_CACHE_KEY);
+	} catch (error) {
+		console.log("error clearing exchange rate cache", error.message);
+	}
+};
+
+/**
+ * Converts a base currency amount and rounds it for the target currency
+ */
+export const convertFromBase = (amount, currency) => roundAmount(amount * currency.rate, currency.code);
+
+/**
+ * Converts an amount in the given currency back to the base currency (for analytics)
+ */
+export const convertToBase = (amount, currency) => roundAmount(amount / currency.rate, BASE_CURRENCY);
@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Product from "../models/product.model.js";
+import { redis } from "./redis.js";
+import { cartItemProductId, isSameLine, lineQuantityCap } from "./cart.js";
+import { hasVariants, findVariant } from "./variants.js";
+
+export const GUEST_CART_COOKIE = "guestCart";
+export const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days, refreshed on every change
+
+const guestCartSecret = () => process.env.GUEST_CART_SECRET || process.env.ACCESS_TOKEN_SECRET;
+const guestCartKey = (cartId) => `guest_cart:${cartId}`;
+
+/**
+ * Reads the anonymous cart id from the signed cookie, null when missing or tampered with
+ */
+export const getGuestCartId = (req) => {
+	const token = req.cookies?.[GUEST_CART_COOKIE];
+	if (!token) return null;
+
+	try {
+		return jwt.verify(token, guestCartSecret()).cartId;
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Starts a new anonymous cart and hands its signed id to the browser
+ */
+export const issueGuestCartId = (res) => {
+	const cartId = crypto.randomUUID();
+	const token = jwt.sign({ cartId }, guestCartSecret(), { expiresIn: GUEST_CART_TTL_SECONDS });
+
+	res.cookie(GUEST_CART_COOKIE, token, {
+		httpOnly: true,
+		secure: process.env.NODE_ENV === "production",
+		sameSite: "strict",
+		maxAge: GUEST_CART_TTL_SECONDS * 1000,
+	});
+	return cartId;
+};
+
+export const loadGuestCart = async (cartId) => {
+	if (!cartId) return [];
+	const stored = await redis.get(guestCartKey(cartId));
+	return stored ? JSON.parse(stored) : [];
+};
+
+export const saveGuestCart = async (cartId, items) => {
+	// store only the line fields, the same shape as user.cartItems
+	const lines = items.map((item) => ({
+		product: cartItemProductId(item),
+		variant: item.variant ? item.variant.toString() : undefined,
+		quantity: item.quantity,
+	}));
+	await redis.set(guestCartKey(cartId), JSON.stringify(lines), "EX", GUEST_CART_TTL_SECONDS);
+};
+
+export const deleteGuestCart = async (cartId) => {
+	await redis.del(guestCartKey(cartId));
+};
+
+/**
+ * Moves the visitor's anonymous cart into the account that just logged in or signed up.
+ * Quantities of lines already in the account are summed and capped at what is in stock and the
+ * per-order limits; products that can no longer be bought are dropped. Per-customer limits are
+ * left to checkout. Never throws, a broken guest cart
+ * must not block a login.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user - The user document, saved here when anything changed
+ */
+export const mergeGuestCart = async (req, res, user) => {
+	const cartId = getGuestCartId(req);
+	if (!cartId) return;
+
+	try {
+		const guestItems = await loadGuestCart(cartId);
+
+		if (guestItems.length) {
+			const products = await Product.find({
+				_id: { $in: guestItems.map(cartItemProductId) },
+				...Product.publishedFilter(),
+			});
+
+			for (const guestItem of guestItems) {
+				const product = products.find((p) => p.id === guestItem.product);
+				if (!product || product.isPurchasable === false) continue;
+
+				const variantId = guestItem.variant || null;
+				if (hasVariants(product) ? !findVariant(product, variantId) : variantId) continue;
+
+				const existingItem = user.cartItems.find((item) => isSameLine(item, guestItem.product, variantId));
+				const quantity = Math.min(
+					(existingItem?.quantity || 0) + guestItem.quantity,
+					lineQuantityCap(product, variantId)
+				);
+
+				if (existingItem) {
+					existingItem.quantity = Math.max(quantity, existingItem.quantity);
+				} else if (quantity > 0) {
+					user.cartItems.push({ product: guestItem.product, variant: variantId || undefined, quantity });
+				}
+			}
+			await user.save();
+		}
+
+		await deleteGuestCart(cartId);
+		res.clearCookie(GUEST_CART_COOKIE);
+	} catch (error) {
+		console.error("Error merging guest cart:", error.message);
+	}
+};
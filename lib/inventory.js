@@ -0,0 +1,239 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { findVariant, displayName } from "./variants.js";
+import Product from "../models/product.model.js";
+import Reservation from "../models/reservation.model.js";
+
+// stripe sessions are created with a 30 minute expiry, the hold outlives them slightly
+export const RESERVATION_TTL_SECONDS = 35 * 60;
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+export class InsufficientStockError extends Error {
+	constructor(product, requested, variantId = null) {
+		const variant = findVariant(product, variantId);
+		super(`${product ? displayName(product, variant) : "Product"} is out of stock`);
+		this.name = "InsufficientStockError";
+		this.productId = product?._id?.toString() || null;
+		this.variantId = variantId ? variantId.toString() : null;
+		this.available = product ? availableStock(product, variantId) : 0;
+		this.requested = requested;
+	}
+}
+
+/**
+ * Stock that can still be sold, i.e. on hand minus what open checkouts are holding.
+ * Gift cards are digital and never run out.
+ * @param {Object} product - Product document or lean object
+ * @param {string} [variantId] - Reads the variant's stock instead of the product's
+ * @returns {number}
+ */
+export const availableStock = (product, variantId = null) => {
+	if (product?.productType === "gift_card") return Infinity;
+	const holder = variantId ? findVariant(product, variantId) : product;
+	if (!holder) return 0;
+	return Math.max((holder.stock || 0) - (holder.reservedStock || 0), 0);
+};
+
+/**
+ * Holds stock for every item of a checkout. Either all items are reserved or none are.
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {Object} options
+ * @param {string} [options.reference] - Id to reserve under, generated if omitted
+ * @param {string} [options.userId]
+ * @returns {Promise<string>} The reservation reference
+ */
+export const reserveStock = async (items, { reference = crypto.randomUUID(), userId } = {}) => {
+	const reserved = [];
+
+	try {
+		for (const item of mergeQuantities(items)) {
+			const updated = await Product.findOneAndUpdate(
+				{ _id: item.product, productType: { $ne: "gift_card" }, $expr: hasAvailable(item.variant, item.quantity) },
+				stockUpdate(item.variant, { reservedStock: item.quantity }),
+				{ new: true, ...arrayFilters(item.variant) }
+			);
+
+			if (!updated) {
+				const product = await Product.findById(item.product).lean();
+				// nothing to hold for a digital item
+				if (product?.productType === "gift_card") continue;
+				throw new InsufficientStockError(product, item.quantity, item.variant);
+			}
+			reserved.push(item);
+		}
+
+		await Reservation.create({
+			reference,
+			user: userId,
+			items: reserved,
+			expiresAt: new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000),
+		});
+
+		return reference;
+	} catch (error) {
+		await Promise.all(reserved.map((item) => adjustStock(item, { reservedStock: -item.quantity })));
+		throw error;
+	}
+};
+
+/**
+ * Turns a held reservation into a real stock decrement once the order exists.
+ * Falls back to decrementing directly if the hold already lapsed (payment landed late).
+ * @param {string} reference
+ * @param {Array<{product: string, variant?: string, quantity: number}>} [fallbackItems] - Used when no reservation is found
+ */
+export const commitReservation = async (reference, fallbackItems = []) => {
+	const reservation = reference
+		? await Reservation.findOneAndUpdate({ reference, status: "held" }, { status: "committed" }, { new: true })
+		: null;
+
+	if (reservation) {
+		await Promise.all(
+			reservation.items.map((item) =>
+				adjustStock(item, { stock: -item.quantity, reservedStock: -item.quantity })
+			)
+		);
+		return;
+	}
+
+	if (reference && (await Reservation.exists({ reference, status: "committed" }))) {
+		return;
+	}
+
+	console.warn(`Reservation ${reference || "(none)"} not held, decrementing stock directly`);
+	await Promise.all(mergeQuantities(fallbackItems).map(decrementStock));
+};
+
+/**
+ * Gives the held stock back. Safe to call more than once.
+ * @param {string} reference
+ */
+export const releaseReservation = async (reference) => {
+	const reservation = await Reservation.findOneAndUpdate(
+		{ reference, status: "held" },
+		{ status: "released" },
+		{ new: true }
+	);
+	if (!reservation) return;
+
+	await Promise.all(reservation.items.map((item) => adjustStock(item, { reservedStock: -item.quantity })));
+};
+
+/**
+ * Releases every held reservation past its recorded expiry (abandoned checkouts)
+ */
+export const releaseExpiredReservations = async () => {
+	const expired = await Reservation.find({ status: "held", expiresAt: { $lte: new Date() } }).select("reference").lean();
+	let released = 0;
+
+	for (const { reference } of expired) {
+		await releaseReservation(reference);
+		released++;
+	}
+
+	if (released > 0) {
+		console.log(`Released ${released} expired stock reservation(s)`);
+	}
+};
+
+/**
+ * Puts units from a cancelled or refunded order back on sale
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ */
+export const restockItems = async (items) => {
+	await Promise.all(mergeQuantities(items).map((item) => adjustStock(item, { stock: item.quantity })));
+};
+
+export const startReservationSweeper = () => {
+	setInterval(() => {
+		releaseExpiredReservations().catch((error) => {
+			console.error("Error releasing expired reservations:", error.message || error);
+		});
+	}, SWEEP_INTERVAL);
+};
+
+// stock lives on the product, or on the matching element of product.variants
+function stockUpdate(variantId, increments) {
+	const prefix = variantId ? "variants.$[v]." : "";
+	return {
+		$inc: Object.fromEntries(Object.entries(increments).map(([field, amount]) => [prefix + field, amount])),
+	};
+}
+
+function arrayFilters(variantId) {
+	return variantId ? { arrayFilters: [{ "v._id": new mongoose.Types.ObjectId(variantId.toString()) }] } : {};
+}
+
+function adjustStock(item, increments) {
+	return Product.updateOne({ _id: item.product, productType: { $ne: "gift_card" } }, stockUpdate(item.variant, increments), arrayFilters(item.variant));
+}
+
+// nothing was set aside for the item, so it takes what is on hand and never leaves the stock below zero.
+// Tried again when the stock moves between the two updates.
+async function decrementStock(item) {
+	const product = { _id: item.product, productType: { $ne: "gift_card" } };
+	const stockPath = item.variant ? "variants.$[v].stock" : "stock";
+
+	for (let attempt = 0; attempt < 3; attempt++) {
+		const taken = await Product.updateOne(
+			{ ...product, ...stockMatching(item.variant, { $gte: item.quantity }) },
+			stockUpdate(item.variant, { stock: -item.quantity }),
+			arrayFilters(item.variant)
+		);
+		if (taken.modifiedCount) return;
+
+		const emptied = await Product.updateOne(
+			{ ...product, ...stockMatching(item.variant, { $lt: item.quantity }) },
+			{ $set: { [stockPath]: 0 } },
+			arrayFilters(item.variant)
+		);
+		if (emptied.matchedCount) return;
+	}
+}
+
+function stockMatching(variantId, condition) {
+	if (!variantId) {
+		return { stock: condition };
+	}
+	return { variants: { $elemMatch: { _id: new mongoose.Types.ObjectId(variantId.toString()), stock: condition } } };
+}
+
+function hasAvailable(variantId, quantity) {
+	const free = (prefix) => ({
+		$subtract: [{ $ifNull: [`${prefix}stock`, 0] }, { $ifNull: [`${prefix}reservedStock`, 0] }],
+	});
+
+	if (!variantId) {
+		return { $gte: [free("$"), quantity] };
+	}
+
+	return {
+		$anyElementTrue: {
+			$map: {
+				input: { $ifNull: ["$variants", []] },
+				as: "v",
+				in: {
+					$and: [
+						{ $eq: ["$$v._id", new mongoose.Types.ObjectId(variantId.toString())] },
+						{ $gte: [free("$$v."), quantity] },
+					],
+				},
+			},
+		},
+	};
+}
+
+function mergeQuantities(items) {
+	const merged = new Map();
+	for (const item of items) {
+		const variant = item.variant ? item.variant.toString() : null;
+		const key = `${item.product}:${variant || ""}`;
+		const existing = merged.get(key);
+		if (existing) {
+			existing.quantity += item.quantity || 1;
+		} else {
+			merged.set(key, { product: item.product.toString(), variant, quantity: item.quantity || 1 });
+		}
+	}
+	return [...merged.values()];
+}
@@ -0,0 +1,300 @@
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import Product from "../models/product.model.js";
+import User from "../models/user.model.js";
+import { CartError } from "./cart.js";
+import { RESERVATION_TTL_SECONDS } from "./inventory.js";
+import { BASE_CURRENCY, convertFromBase, convertToBase, fromMinorUnits, roundAmount, toMinorUnits } from "./currency.js";
+
+const JOB_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DAY = 24 * 60 * 60 * 1000;
+
+// points per unit of base currency spent, and what a point is worth when redeemed
+export const POINTS_PER_UNIT = Number(process.env.LOYALTY_POINTS_PER_DOLLAR) || 1;
+export const POINT_VALUE = Number(process.env.LOYALTY_POINT_VALUE) || 0.01;
+const POINTS_EXPIRY_DAYS = Number(process.env.LOYALTY_POINTS_EXPIRY_DAYS) || 365;
+
+// by lifetime points earned, highest first
+export const TIERS = [
+	{ name: "gold", minPoints: 5000, multiplier: 1.5 },
+	{ name: "silver", minPoints: 1000, multiplier: 1.25 },
+	{ name: "bronze", minPoints: 0, multiplier: 1 },
+];
+
+/**
+ * The customer's tier and the one after it, if any
+ */
+export const tierFor = (lifetimePoints = 0) => {
+	const index = TIERS.findIndex((tier) => lifetimePoints >= tier.minPoints);
+	return { tier: TIERS[index], next: TIERS[index - 1] || null };
+};
+
+export const pointsValue = (points) => roundAmount(points * POINT_VALUE, BASE_CURRENCY);
+
+/**
+ * Works out a points redemption against what is left to pay. Asking for more points than the
+ * cart is worth only uses as many as needed.
+ * @param {Object} user
+ * @param {number} points - Points the customer wants to spend
+ * @param {number} payable - Amount left after other discounts, minor units of the charged currency
+ * @param {{code: string, rate: number}} currency
+ * @returns {{points: number, amount: number}} Points to spend and the discount in minor units
+ * @throws {CartError}
+ */
+export const loyaltyDiscount = (user, points, payable, currency) => {
+	if (!Number.isInteger(points) || points < 0) {
+		throw new CartError(400, "LOYALTY_INVALID_POINTS", "Points must be a whole number");
+	}
+	if (points > (user.loyaltyPoints || 0)) {
+		throw new CartError(400, "LOYALTY_INSUFFICIENT_POINTS", "You don't have that many points", {
+			balance: user.loyaltyPoints || 0,
+		});
+	}
+
+	const amount = toMinorUnits(convertFromBase(pointsValue(points), currency), currency.code);
+	if (amount <= payable) return { points, amount };
+
+	// only spend what covers the rest of the order
+	const needed = Math.ceil(convertToBase(fromMinorUnits(payable, currency.code), currency) / POINT_VALUE);
+	return { points: Math.min(needed, points), amount: payable };
+};
+
+/**
+ * Takes points off the balance for an open checkout, given back unless confirmed
+ * @throws {CartError} When the balance went down in the meantime
+ */
+export const holdPoints = async (user, points, reference) => {
+	const updated = await User.updateOne(
+		{ _id: user._id, loyaltyPoints: { $gte: points } },
+		{ $inc: { loyaltyPoints: -points } }
+	);
+	if (!updated.modifiedCount) {
+		throw new CartError(400, "LOYALTY_INSUFFICIENT_POINTS", "You don't have that many points");
+	}
+
+	await LoyaltyTransaction.create({
+		user: user._id,
+		type: "redeem",
+		points: -points,
+		status: "pending",
+		reference,
+		description: `Redeemed ${points} points`,
+		expiresAt: new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000),
+	});
+};
+
+/**
+ * Posts a held redemption against the order and spends the oldest earned points first. When the hold
+ * was already released, because the payment landed after the checkout expired, the points are taken again.
+ * @param {string} reference - The checkout's reservation reference
+ * @param {string} orderId
+ * @param {Object} [redemption] - { user, points } the checkout redeemed, needed to take released points again
+ * @returns {Promise<boolean>} false when released points couldn't be taken again, they were spent in the meantime
+ */
+export const confirmPoints = async (reference, orderId, { user, points } = {}) => {
+	const redemption = await LoyaltyTransaction.findOneAndUpdate(
+		{ reference, status: "pending" },
+		{ status: "posted", order: orderId, $unset: { expiresAt: 1 } },
+		{ new: true }
+	);
+	if (redemption) {
+		await consumeEarnedPoints(redemption.user, -redemption.points);
+		return true;
+	}
+	if (!user || !(points > 0)) return true;
+
+	const posted = await postEntry({
+		user,
+		type: "redeem",
+		points: -points,
+		order: orderId,
+		reference,
+		description: `Redeemed ${points} points`,
+	});
+	if (!posted) return true;
+
+	const updated = await User.updateOne({ _id: user, loyaltyPoints: { $gte: points } }, { $inc: { loyaltyPoints: -points } });
+	if (!updated.modifiedCount) {
+		await LoyaltyTransaction.deleteOne({ reference, status: "posted" });
+		return false;
+	}
+	await consumeEarnedPoints(user, points);
+	return true;
+};
+
+/**
+ * Gives held points back when the checkout fails or is abandoned
+ */
+export const releasePoints = async (reference) => {
+	const redemption = await LoyaltyTransaction.findOneAndDelete({ reference, status: "pending" });
+	if (redemption) {
+		await User.updateOne({ _id: redemption.user }, { $inc: { loyaltyPoints: -redemption.points } });
+	}
+};
+
+/**
+ * Credits the points an order earns, at the customer's tier multiplier. Gift cards bought earn nothing,
+ * the points come when they are spent. Safe to call twice for the same order.
+ * @param {Object} order - Needs user, products and totalAmount (base currency)
+ * @returns {Promise<number>} Points awarded
+ */
+export const awardOrderPoints = async (order) => {
+	const user = await User.findById(order.user).select("loyaltyLifetimePoints");
+	if (!user) return 0;
+
+	const giftCards = await Product.find({
+		_id: { $in: order.products.map((line) => line.product) },
+		productType: "gift_card",
+	}).select("_id");
+	const giftCardValue = order.products
+		.filter((line) => giftCards.some((product) => product._id.equals(line.product)))
+		.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+	const { tier } = tierFor(user.loyaltyLifetimePoints);
+	const points = Math.floor(Math.max(order.totalAmount - giftCardValue, 0) * POINTS_PER_UNIT * tier.multiplier);
+	if (points <= 0) return 0;
+
+	try {
+		await LoyaltyTransaction.create({
+			user: user._id,
+			type: "earn",
+			points,
+			order: order._id,
+			reference: `earn:${order._id}`,
+			description: `Earned on order ${order._id}`,
+			remaining: points,
+			expiresAt: new Date(Date.now() + POINTS_EXPIRY_DAYS * DAY),
+		});
+	} catch (error) {
+		if (error.code === 11000) return 0;
+		throw error;
+	}
+
+	await User.updateOne({ _id: user._id }, { $inc: { loyaltyPoints: points, loyaltyLifetimePoints: points } });
+	return points;
+};
+
+/**
+ * Undoes (part of) an order's points when it is refunded: the points it earned are taken back and
+ * the points spent on it returned, both scaled by the refunded share of the order. Points taken back
+ * come off what is left of the order's own earn entry first; returned points are a new earn entry
+ * that expires like any other.
+ * @param {Object} order
+ * @param {Object} options
+ * @param {string} options.reference - Unique per refund, repeating a reference does nothing
+ * @param {number} [options.ratio] - Share of the order refunded, 1 for a full refund
+ * @returns {Promise<number>} Net change to the balance
+ */
+export const reverseOrderPoints = async (order, { reference, ratio = 1 }) => {
+	const entries = await LoyaltyTransaction.find({ order: order._id, type: { $in: ["earn", "redeem"] }, status: "posted" });
+	const earnEntry = entries.find((entry) => entry.reference === `earn:${order._id}`);
+	const earned = Math.round((earnEntry?.points || 0) * ratio);
+	const redeemed = -entries.filter((entry) => entry.type === "redeem").reduce((sum, entry) => sum + entry.points, 0);
+	const returned = Math.round(redeemed * ratio);
+
+	const user = await User.findById(order.user).select("loyaltyPoints");
+	if (!user) return 0;
+	let net = 0;
+
+	if (
+		returned > 0 &&
+		(await postEntry({
+			user: user._id,
+			type: "earn",
+			points: returned,
+			order: order._id,
+			reference: `${reference}:returned`,
+			description: `Returned from the refund of order ${order._id}`,
+			remaining: returned,
+			expiresAt: new Date(Date.now() + POINTS_EXPIRY_DAYS * DAY),
+		}))
+	) {
+		await User.updateOne({ _id: user._id }, { $inc: { loyaltyPoints: returned } });
+		net += returned;
+	}
+
+	// points already spent elsewhere can't be taken back below zero
+	const takeBack = Math.min(earned, user.loyaltyPoints + net);
+	if (
+		earned > 0 &&
+		(await postEntry({
+			user: user._id,
+			type: "reverse",
+			points: -takeBack,
+			order: order._id,
+			reference,
+			description: `Refund of order ${order._id}`,
+		}))
+	) {
+		await User.updateOne({ _id: user._id }, { $inc: { loyaltyPoints: -takeBack, loyaltyLifetimePoints: -earned } });
+		const fromOrder = Math.min(earnEntry.remaining || 0, takeBack);
+		if (fromOrder > 0) {
+			await LoyaltyTransaction.updateOne({ _id: earnEntry._id }, { $inc: { remaining: -fromOrder } });
+		}
+		if (takeBack > fromOrder) {
+			await consumeEarnedPoints(user._id, takeBack - fromOrder);
+		}
+		net -= takeBack;
+	}
+	return net;
+};
+
+/**
+ * Expires earned points past their date and gives back holds of checkouts that never completed
+ */
+export const expireLoyaltyPoints = async (now = new Date()) => {
+	const staleHolds = await LoyaltyTransaction.find({ status: "pending", expiresAt: { $lte: now } }).select("reference");
+	for (const hold of staleHolds) {
+		await releasePoints(hold.reference);
+	}
+
+	const expired = await LoyaltyTransaction.find({ type: "earn", expiresAt: { $lte: now }, remaining: { $gt: 0 } });
+	for (const entry of expired) {
+		const claimed = await LoyaltyTransaction.updateOne({ _id: entry._id, remaining: entry.remaining }, { remaining: 0 });
+		if (!claimed.modifiedCount) continue;
+
+		const user = await User.findById(entry.user).select("loyaltyPoints");
+		const points = Math.min(entry.remaining, Math.max(user?.loyaltyPoints || 0, 0));
+		if (!points) continue;
+
+		await LoyaltyTransaction.create({
+			user: entry.user,
+			type: "expire",
+			points: -points,
+			description: `${points} points expired`,
+		});
+		await User.updateOne({ _id: entry.user }, { $inc: { loyaltyPoints: -points } });
+	}
+	return expired.length;
+};
+
+export const startLoyaltyJob = () => {
+	setInterval(() => {
+		expireLoyaltyPoints().catch((error) => {
+			console.error("Error expiring loyalty points:", error.message || error);
+		});
+	}, JOB_INTERVAL);
+};
+
+// false when an entry with the same reference was posted before
+async function postEntry(entry) {
+	try {
+		await LoyaltyTransaction.create(entry);
+		return true;
+	} catch (error) {
+		if (error.code === 11000) return false;
+		throw error;
+	}
+}
+
+// spending draws on the earn entries closest to expiry
+async function consumeEarnedPoints(userId, points) {
+	let left = points;
+	const entries = await LoyaltyTransaction.find({ user: userId, type: "earn", remaining: { $gt: 0 } }).sort({ expiresAt: 1 });
+
+	for (const entry of entries) {
+		if (left <= 0) break;
+		const used = Math.min(entry.remaining, left);
+		await LoyaltyTransaction.updateOne({ _id: entry._id }, { $inc: { remaining: -used } });
+		left -= used;
+	}
+}
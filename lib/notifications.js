@@ -0,0 +1,23 @@
+import Notification from "../models/notification.model.js";
+
+/**
+ * Puts a notification in the outbox. With a dedupeKey the call is idempotent:
+ * a second call for the same key enqueues nothing and returns null.
+ * @param {Object} notification
+ * @param {string} notification.user
+ * @param {string} notification.type
+ * @param {string} notification.subject
+ * @param {Object} [notification.data]
+ * @param {string} [notification.dedupeKey]
+ * @returns {Promise<Object|null>} The notification, or null if it was already enqueued
+ */
+export const enqueueNotification = async ({ user, type, subject, data = {}, dedupeKey }) => {
+	try {
+		return await Notification.create({ user, type, subject, data, dedupeKey });
+	} catch (error) {
+		if (error.code === 11000) {
+			return null;
+		}
+		throw error;
+	}
+};
@@ -0,0 +1,96 @@
+import Order from "../models/order.model.js";
+import { enqueueNotification } from "./notifications.js";
+import { rewardReferral } from "./referrals.js";
+
+// where an order may go from each status, delivered and cancelled are final
+export const ORDER_TRANSITIONS = {
+	pending: ["processing", "cancelled"],
+	processing: ["shipped", "cancelled"],
+	shipped: ["delivered"],
+	delivered: [],
+	cancelled: [],
+};
+
+// statuses the customer hears about
+const STATUS_NOTIFICATIONS = {
+	shipped: "Your order is on its way",
+	delivered: "Your order has been delivered",
+	cancelled: "Your order has been cancelled",
+};
+
+export class OrderError extends Error {
+	constructor(status, code, message, details = {}) {
+		super(message);
+		this.name = "OrderError";
+		this.status = status;
+		this.code = code;
+		this.details = { code, ...details };
+	}
+}
+
+export const canTransition = (from, to) => Boolean(ORDER_TRANSITIONS[from]?.includes(to));
+
+/**
+ * Marks an order for an admin to review, the reasons show on the admin order views
+ * @param {string} orderId
+ * @param {Array<string>} reasons
+ */
+export const flagOrder = async (orderId, reasons) => {
+	await Order.updateOne({ _id: orderId }, { $addToSet: { reviewReasons: { $each: reasons } } });
+};
+
+/**
+ * Moves an order to a new status along ORDER_TRANSITIONS and records who did it in the status history.
+ * The move only applies if the order is still in the status it was read in, so two admins can't
+ * both ship the same order. A delivered order can no longer be cancelled, so that is when it
+ * rewards the referral it qualifies.
+ * @param {Object} order - Order document as read
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - User making the change
+ * @param {string} [options.trackingNumber] - Required when marking shipped
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} The updated order
+ * @throws {OrderError}
+ */
+export const transitionOrder = async (order, status, { changedBy = null, trackingNumber, note } = {}) => {
+	if (!ORDER_TRANSITIONS[status]) {
+		throw new OrderError(400, "INVALID_STATUS", `Status must be one of ${Object.keys(ORDER_TRANSITIONS).join(", ")}`);
+	}
+	if (!canTransition(order.status, status)) {
+		throw new OrderError(409, "INVALID_TRANSITION", `An order that is ${order.status} can't be marked ${status}`, {
+			from: order.status,
+			to: status,
+			allowed: ORDER_TRANSITIONS[order.status] || [],
+		});
+	}
+	if (status === "shipped" && !String(trackingNumber || "").trim()) {
+		throw new OrderError(400, "TRACKING_NUMBER_REQUIRED", "A tracking number is required to mark an order shipped");
+	}
+
+	const updated = await Order.findOneAndUpdate(
+		{ _id: order._id, status: order.status },
+		{
+			$set: { status, ...(status === "shipped" ? { trackingNumber: String(trackingNumber).trim() } : {}) },
+			$push: { statusHistory: { status, at: new Date(), changedBy, ...(note ? { note } : {}) } },
+		},
+		{ new: true }
+	);
+	if (!updated) {
+		throw new OrderError(409, "ORDER_STATUS_CHANGED", "The order was updated in the meantime, please reload it");
+	}
+
+	if (status === "delivered") {
+		await rewardReferral(updated);
+	}
+	if (STATUS_NOTIFICATIONS[status]) {
+		await enqueueNotification({
+			user: updated.user,
+			type: "order_status",
+			subject: STATUS_NOTIFICATIONS[status],
+			data: { orderId: updated._id, status, trackingNumber: updated.trackingNumber || null },
+			dedupeKey: `order_status:${updated._id}:${status}`,
+		});
+	}
+	return updated;
+};
@@ -0,0 +1,167 @@
+import PriceChange from "../models/priceChange.model.js";
+import { BASE_CURRENCY, convertFromBase } from "./currency.js";
+import { unitPrice } from "./variants.js";
+
+/**
+ * Whether the product's sale window covers the given time. Without dates, sale prices apply until removed.
+ */
+export const isSaleActive = (product, now = new Date()) => {
+	if (product.saleStartsAt && new Date(product.saleStartsAt) > now) return false;
+	if (product.saleEndsAt && new Date(product.saleEndsAt) <= now) return false;
+	return true;
+};
+
+/**
+ * The price to charge right now. During the sale window a variant uses its own sale price,
+ * falling back to the product sale price when the variant doesn't override the product price.
+ * @param {Object} product
+ * @param {Object} [variant]
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const effectivePrice = (product, variant = null, now = new Date()) => {
+	const listPrice = unitPrice(product, variant);
+	if (!isSaleActive(product, now)) return listPrice;
+
+	let salePrice = product.salePrice;
+	if (variant) {
+		salePrice = variant.salePrice ?? (variant.price == null ? product.salePrice : null);
+	}
+
+	return salePrice != null && salePrice < listPrice ? salePrice : listPrice;
+};
+
+/**
+ * effectivePrice for a product as an aggregation expression, so catalog queries can filter,
+ * sort and bucket on the price actually charged. Product level only, like listings show.
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const effectivePriceExpression = (now = new Date()) => {
+	const saleActive = {
+		$and: [
+			{ $or: [{ $eq: [{ $ifNull: ["$saleStartsAt", null] }, null] }, { $lte: ["$saleStartsAt", now] }] },
+			{ $or: [{ $eq: [{ $ifNull: ["$saleEndsAt", null] }, null] }, { $gt: ["$saleEndsAt", now] }] },
+		],
+	};
+	// null sorts below every number in aggregation, so a missing sale price has to be ruled out first
+	const hasLowerSalePrice = {
+		$and: [{ $ne: [{ $ifNull: ["$salePrice", null] }, null] }, { $lt: ["$salePrice", "$price"] }],
+	};
+	return { $cond: [{ $and: [saleActive, hasLowerSalePrice] }, "$salePrice", "$price"] };
+};
+
+/**
+ * Effective price in the shopper's currency. A per-currency override set on the product wins over
+ * conversion, but only for the product's regular price (sales and variant prices are converted).
+ * @param {Object} product
+ * @param {Object} [variant]
+ * @param {{code: string, rate: number}} [currency] - Defaults to the base currency
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const priceIn = (product, variant = null, currency = null, now = new Date()) => {
+	const basePrice = effectivePrice(product, variant, now);
+	if (!currency || currency.code === BASE_CURRENCY) return basePrice;
+
+	const isRegularProductPrice = basePrice === product.price && (!variant || variant.price == null);
+	const override = currencyOverride(product, currency.code);
+	if (isRegularProductPrice && override != null) return override;
+
+	return convertFromBase(basePrice, currency);
+};
+
+/**
+ * List price (ignoring sales) in the shopper's currency
+ */
+export const listPriceIn = (product, variant = null, currency = null) => {
+	const listPrice = unitPrice(product, variant);
+	if (!currency || currency.code === BASE_CURRENCY) return listPrice;
+
+	const override = currencyOverride(product, currency.code);
+	if ((!variant || variant.price == null) && override != null) return override;
+
+	return convertFromBase(listPrice, currency);
+};
+
+function currencyOverride(product, code) {
+	const prices = product.currencyPrices;
+	if (!prices) return null;
+	return (prices instanceof Map ? prices.get(code) : prices[code]) ?? null;
+}
+
+/**
+ * Storefront view of a product: `price` is what the shopper pays today, `regularPrice` the list price,
+ * both in the shopper's currency
+ * @param {Object} product - Lean object or document
+ * @param {{code: string, rate: number}} [currency] - Defaults to the base currency
+ */
+export const withEffectivePrice = (product, currency = null, now = new Date()) => {
+	const plain = typeof product.toJSON === "function" ? product.toJSON() : product;
+	const price = priceIn(plain, null, currency, now);
+	const regularPrice = listPriceIn(plain, null, currency);
+
+	return {
+		...plain,
+		price,
+		regularPrice,
+		onSale: price < regularPrice,
+		currency: currency?.code || BASE_CURRENCY,
+		variants: plain.variants?.map((variant) => ({
+			...variant,
+			price: priceIn(plain, variant, currency, now),
+			regularPrice: listPriceIn(plain, variant, currency),
+		})),
+	};
+};
+
+const priceSnapshot = (product) => {
+	const snapshot = {
+		price: product.price ?? null,
+		salePrice: product.salePrice ?? null,
+		saleStartsAt: product.saleStartsAt ? new Date(product.saleStartsAt).toISOString() : null,
+		saleEndsAt: product.saleEndsAt ? new Date(product.saleEndsAt).toISOString() : null,
+	};
+	const currencyPrices = product.currencyPrices instanceof Map ? Object.fromEntries(product.currencyPrices) : product.currencyPrices;
+	for (const [code, price] of Object.entries(currencyPrices || {})) {
+		snapshot[`currencyPrices.${code}`] = price ?? null;
+	}
+	for (const variant of product.variants || []) {
+		snapshot[`variants.${variant.sku}.price`] = variant.price ?? null;
+		snapshot[`variants.${variant.sku}.salePrice`] = variant.salePrice ?? null;
+	}
+	return snapshot;
+};
+
+/**
+ * Takes a snapshot of the pricing fields, call before modifying the product
+ */
+export const capturePricing = (product) => priceSnapshot(product ?? {});
+
+/**
+ * Stores one PriceChange per pricing field that differs from the earlier snapshot
+ * @param {Object} before - Result of capturePricing, empty object for new products
+ * @param {Object} product - The saved product
+ * @param {Object} options
+ * @param {string} [options.userId]
+ * @param {string} [options.source] - "create", "update" or "import"
+ */
+export const recordPriceChanges = async (before, product, { userId, source = "update" } = {}) => {
+	const after = priceSnapshot(product);
+	const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+	const changes = [...fields]
+		.filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+		.map((field) => ({
+			product: product._id,
+			field,
+			from: before[field] ?? null,
+			to: after[field] ?? null,
+			changedBy: userId,
+			source,
+		}));
+
+	if (changes.length) {
+		await PriceChange.insertMany(changes);
+	}
+};
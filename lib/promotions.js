@@ -0,0 +1,199 @@
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import Promotion from "../models/promotion.model.js";
+import { availableStock } from "./inventory.js";
+import { descendantSlugs } from "./categories.js";
+import { effectivePrice, priceIn } from "./pricing.js";
+import { convertFromBase, convertToBase, fromMinorUnits, toMinorUnits } from "./currency.js";
+import { displayImage, displayName, findVariant, hasVariants } from "./variants.js";
+
+/**
+ * Promotions running at the given time, in the order they are applied
+ */
+export const getActivePromotions = (now = new Date()) =>
+	Promotion.find({
+		isActive: true,
+		$and: [
+			{ $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+			{ $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+		],
+	})
+		.sort({ priority: -1, createdAt: 1 })
+		.lean();
+
+/**
+ * Runs the promotion rules over a priced cart. Promotions are tried by priority; each one whose
+ * conditions hold adds a discount, capped so no line and no cart goes below zero. An exclusive
+ * promotion only applies to a cart nothing else has discounted, and ends the run.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {Array<{productId: string, variantId: string, category: string, quantity: number, unitAmount: number}>} params.lines
+ *   Cart lines, unitAmount in minor units of the charged currency
+ * @param {{code: string, rate: number}} params.currency
+ * @returns {Promise<{discounts: Array, freeLines: Array, allowsCoupons: boolean}>} Discount amounts in minor units,
+ *   each with its per-line breakdown, and the lines free_item promotions add to the order
+ */
+export const applyPromotions = async ({ user, lines, currency, now = new Date() }) => {
+	const promotions = await getActivePromotions(now);
+	if (!promotions.length) return { discounts: [], freeLines: [], allowsCoupons: true };
+
+	const orderCount = user ? await Order.countDocuments({ user: user._id, status: { $ne: "cancelled" } }) : 0;
+	const remaining = lines.map((line) => line.unitAmount * line.quantity);
+	let remainingTotal = remaining.reduce((sum, amount) => sum + amount, 0);
+
+	const applied = [];
+	const freeLines = [];
+
+	for (const promotion of promotions) {
+		if (applied.some((a) => a.promotion.exclusive)) break;
+		if (promotion.exclusive && applied.length) continue;
+
+		const matching = await matchingLines(promotion, lines);
+		if (!matching || !conditionsHold(promotion, lines, matching, { orderCount, currency })) continue;
+
+		const breakdown = new Map(); // line index -> discount
+		const { action } = promotion;
+		let orderDiscount = 0;
+		let freeLine = null;
+
+		if (action.type === "percent_off_items" || action.type === "amount_off_items") {
+			for (const index of matching) {
+				const line = lines[index];
+				const discount =
+					action.type === "percent_off_items"
+						? Math.round((line.unitAmount * line.quantity * action.value) / 100)
+						: toMinorUnits(convertFromBase(action.value, currency), currency.code) * line.quantity;
+				breakdown.set(index, Math.min(discount, remaining[index]));
+			}
+		} else if (action.type === "buy_x_get_y") {
+			// every unit of the matching lines, dearest first, the cheapest ones in the tail go free
+			const units = matching
+				.flatMap((index) => Array.from({ length: lines[index].quantity }, () => index))
+				.sort((a, b) => lines[b].unitAmount - lines[a].unitAmount);
+			const freeUnits = Math.floor(units.length / (action.buyQuantity + action.getQuantity)) * action.getQuantity;
+
+			for (const index of units.slice(units.length - freeUnits)) {
+				const discount = Math.round((lines[index].unitAmount * (action.value || 100)) / 100);
+				breakdown.set(index, Math.min((breakdown.get(index) || 0) + discount, remaining[index]));
+			}
+		} else if (action.type === "percent_off_order") {
+			orderDiscount = Math.round((remainingTotal * action.value) / 100);
+		} else if (action.type === "amount_off_order") {
+			orderDiscount = toMinorUnits(convertFromBase(action.value, currency), currency.code);
+		} else if (action.type === "free_item") {
+			freeLine = await buildFreeLine(promotion, lines, currency);
+			if (!freeLine) continue;
+		}
+
+		for (const [index, discount] of breakdown) {
+			remaining[index] -= discount;
+		}
+		const itemDiscount = [...breakdown.values()].reduce((sum, discount) => sum + discount, 0);
+
+		let amount;
+		if (freeLine) {
+			// the free unit is charged at its price and discounted back to zero, so it shows on the order
+			freeLines.push(freeLine);
+			amount = freeLine.unitAmount;
+		} else {
+			amount = Math.min(itemDiscount + orderDiscount, remainingTotal);
+			remainingTotal -= amount;
+		}
+		if (amount <= 0) continue;
+
+		applied.push({
+			promotion,
+			discount: {
+				type: "promotion",
+				promotionId: promotion._id.toString(),
+				description: promotion.name,
+				amount,
+				lines: [...breakdown]
+					.filter(([, discount]) => discount > 0)
+					.map(([index, discount]) => ({
+						productId: lines[index].productId,
+						variantId: lines[index].variantId,
+						amount: discount,
+					})),
+			},
+		});
+	}
+
+	return {
+		discounts: applied.map((a) => a.discount),
+		freeLines,
+		allowsCoupons: applied.every((a) => a.promotion.combinesWithCoupons !== false),
+	};
+};
+
+/**
+ * Indexes of the lines in the promotion's product/category scope (every line when unscoped),
+ * null when a scoped promotion matches nothing
+ */
+async function matchingLines(promotion, lines) {
+	const { categories = [], products = [] } = promotion.conditions || {};
+
+	let categorySlugs = null;
+	if (categories.length) {
+		categorySlugs = new Set((await Promise.all(categories.map(descendantSlugs))).flat().concat(categories));
+	}
+	const productIds = new Set(products.map((id) => id.toString()));
+
+	const matching = lines
+		.map((line, index) => index)
+		.filter((index) => {
+			const line = lines[index];
+			if (categorySlugs && !categorySlugs.has(line.category)) return false;
+			if (productIds.size && !productIds.has(line.productId)) return false;
+			return true;
+		});
+
+	return matching.length ? matching : null;
+}
+
+function conditionsHold(promotion, lines, matching, { orderCount, currency }) {
+	const { minQuantity, minSubtotal, customerSegments = [], firstOrderOnly } = promotion.conditions || {};
+
+	const quantity = matching.reduce((sum, index) => sum + lines[index].quantity, 0);
+	if (minQuantity && quantity < minQuantity) return false;
+
+	if (minSubtotal) {
+		const subtotal = matching.reduce((sum, index) => sum + lines[index].unitAmount * lines[index].quantity, 0);
+		if (convertToBase(fromMinorUnits(subtotal, currency.code), currency) < minSubtotal) return false;
+	}
+
+	if (customerSegments.length && !customerSegments.includes(orderCount > 0 ? "returning" : "new")) return false;
+	if (firstOrderOnly && orderCount > 0) return false;
+
+	return true;
+}
+
+// the gift has to be in stock on top of what the cart already takes
+async function buildFreeLine(promotion, lines, currency) {
+	const { freeProduct, freeVariant } = promotion.action;
+	const product = await Product.findById(freeProduct);
+	if (!product || !product.isPublished()) return null;
+
+	const variant = findVariant(product, freeVariant);
+	if (hasVariants(product) && !variant) return null;
+
+	const variantId = variant?.id || null;
+	const inCart = lines
+		.filter((line) => line.productId === product.id && (line.variantId || null) === variantId)
+		.reduce((sum, line) => sum + line.quantity, 0);
+	if (availableStock(product, variantId) < inCart + 1) return null;
+
+	return {
+		productId: product.id,
+		variantId,
+		sku: variant?.sku || product.sku || null,
+		name: displayName(product, variant),
+		image: displayImage(product, variant),
+		category: product.category,
+		quantity: 1,
+		unitAmount: toMinorUnits(priceIn(product, variant, currency), currency.code),
+		basePrice: effectivePrice(product, variant),
+		free: true,
+		promotionId: promotion._id.toString(),
+	};
+}
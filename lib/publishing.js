@@ -0,0 +1,39 @@
+import { redis } from "./redis.js";
+import Product from "../models/product.model.js";
+
+const SCHEDULE_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Publishes drafts whose publishAt has passed and archives published products whose unpublishAt has passed
+ * @returns {Promise<{published: number, archived: number}>}
+ */
+export const applyPublishingSchedule = async () => {
+	const now = new Date();
+
+	const published = await Product.updateMany(
+		{ status: "draft", publishAt: { $ne: null, $lte: now } },
+		{ status: "published" }
+	);
+	const archived = await Product.updateMany(
+		{ ...Product.publishedFilter(), unpublishAt: { $ne: null, $lte: now } },
+		{ status: "archived", unpublishAt: null, archivedAt: now }
+	);
+
+	const changes = { published: published.modifiedCount, archived: archived.modifiedCount };
+
+	if (changes.published || changes.archived) {
+		console.log(`Publishing schedule: ${changes.published} published, ${changes.archived} archived`);
+		// the featured list may have changed, getFeaturedProducts rebuilds it on the next request
+		await redis.del("featured_products");
+	}
+
+	return changes;
+};
+
+export const startPublishingScheduler = () => {
+	setInterval(() => {
+		applyPublishingSchedule().catch((error) => {
+			console.error("Error applying publishing schedule:", error.message || error);
+		});
+	}, SCHEDULE_INTERVAL);
+};
@@ -0,0 +1,260 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { redis } from "./redis.js";
+import { CartError, MIN_ORDER_VALUE, cartItemProductId, validateCartLines } from "./cart.js";
+import { assertCouponUsable, couponDiscount, describeCoupon, findCouponByCode } from "./coupons.js";
+import { applyPromotions } from "./promotions.js";
+import { POINTS_PER_UNIT, loyaltyDiscount, tierFor } from "./loyalty.js";
+import { applyCredits } from "./credit.js";
+import { effectivePrice, priceIn } from "./pricing.js";
+import { BASE_CURRENCY, convertFromBase, convertToBase, fromMinorUnits, toMinorUnits } from "./currency.js";
+import { displayImage, displayName } from "./variants.js";
+
+// long enough to finish paying, short enough that a sale ending or a rate update is picked up soon
+export const QUOTE_TTL_SECONDS = 15 * 60;
+
+// store-wide settings in the base currency, e.g. TAX_RATE=8.5 for 8.5%
+const TAX_RATE = Number(process.env.TAX_RATE) || 0;
+const SHIPPING_FLAT_RATE = Number(process.env.SHIPPING_FLAT_RATE) || 0;
+const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD) || 0;
+
+// a crypto payment can be mined long after its quote expired, the quote is kept this long for it
+export const PAYMENT_QUOTE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const quoteSecret = () => process.env.QUOTE_SECRET || process.env.ACCESS_TOKEN_SECRET;
+const quoteKey = (id) => `quote:${id}`;
+const paymentQuoteKey = (paymentId) => `payment-quote:${paymentId}`;
+
+/**
+ * Prices a cart entirely from the database: effective prices, promotions, coupon discount, tax and shipping,
+ * then what gift cards and store credit pay of the total. Every line is checked against the purchase rules
+ * first, see validateCartLines.
+ * Amounts are in the shopper's currency except `baseTotal` and `baseAmountDue`, which is what orders record.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {Array<{product: string, variant?: string, quantity: number}>} params.items - Cart lines
+ * @param {{code: string, rate: number}} [params.currency]
+ * @param {string} [params.couponCode]
+ * @param {number} [params.redeemPoints] - Loyalty points to spend, applied after every other discount
+ * @param {Array<string>} [params.giftCardCodes]
+ * @param {boolean} [params.useStoreCredit]
+ * @returns {Promise<Object>} The quote, not yet stored
+ * @throws {CartError} When a line can't be bought, the order is below the minimum or the coupon is invalid
+ */
+export const buildQuote = async ({
+	user,
+	items,
+	currency = null,
+	couponCode = null,
+	redeemPoints = 0,
+	giftCardCodes = [],
+	useStoreCredit = false,
+}) => {
+	currency = currency || { code: BASE_CURRENCY, rate: 1 };
+	const validated = await validateCartLines(items, { user });
+
+	// minor units from here on, so rounding happens once per line
+	const lines = validated.map(({ item, product, variant }) => ({
+		productId: cartItemProductId(item),
+		variantId: variant?.id || null,
+		sku: variant?.sku || product.sku || null,
+		name: displayName(product, variant),
+		image: displayImage(product, variant),
+		category: product.category,
+		productType: product.productType,
+		quantity: item.quantity,
+		unitAmount: toMinorUnits(priceIn(product, variant, currency), currency.code),
+		basePrice: effectivePrice(product, variant),
+	}));
+	const cartSubtotal = lines.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+
+	const minimum = convertFromBase(MIN_ORDER_VALUE, currency);
+	if (fromMinorUnits(cartSubtotal, currency.code) < minimum) {
+		throw new CartError(400, "MIN_ORDER_VALUE", `The minimum order is ${minimum} ${currency.code.toUpperCase()}`, {
+			minimum,
+			currency: currency.code,
+		});
+	}
+
+	// gift cards are sold at face value, no promotion, coupon or points discount reaches them
+	const giftCardSubtotal = lines
+		.filter((line) => line.productType === "gift_card")
+		.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+	const promotions = await applyPromotions({
+		user,
+		lines: lines.filter((line) => line.productType !== "gift_card"),
+		currency,
+	});
+	lines.push(...promotions.freeLines);
+	const subtotal = lines.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+	const discountable = subtotal - giftCardSubtotal;
+	const discounts = [...promotions.discounts];
+
+	// coupons come after promotions and discount what is left
+	if (couponCode) {
+		if (!promotions.allowsCoupons) {
+			throw new CartError(400, "COUPON_NOT_COMBINABLE", "Coupons can't be combined with the promotions in your cart", {
+				couponCode,
+			});
+		}
+		const coupon = await findCouponByCode(couponCode);
+		await assertCouponUsable(
+			coupon,
+			user,
+			convertToBase(fromMinorUnits(cartSubtotal - giftCardSubtotal, currency.code), currency)
+		);
+		const promotionTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+		discounts.push({
+			type: "coupon",
+			couponId: coupon.id,
+			code: coupon.code,
+			description: describeCoupon(coupon),
+			amount: couponDiscount(coupon, Math.max(discountable - promotionTotal, 0), currency),
+		});
+	}
+	if (redeemPoints) {
+		const payable = Math.max(discountable - discounts.reduce((sum, discount) => sum + discount.amount, 0), 0);
+		const redemption = loyaltyDiscount(user, Number(redeemPoints), payable, currency);
+		if (redemption.points > 0) {
+			discounts.push({
+				type: "loyalty",
+				points: redemption.points,
+				description: `${redemption.points} loyalty points`,
+				amount: redemption.amount,
+			});
+		}
+	}
+	const discountTotal = Math.min(
+		discounts.reduce((sum, discount) => sum + discount.amount, 0),
+		subtotal
+	);
+
+	const taxable = subtotal - discountTotal;
+	const tax = Math.round((taxable * TAX_RATE) / 100);
+
+	const baseSubtotal = convertToBase(fromMinorUnits(taxable, currency.code), currency);
+	const freeShipping = FREE_SHIPPING_THRESHOLD > 0 && baseSubtotal >= FREE_SHIPPING_THRESHOLD;
+	const shipping = freeShipping ? 0 : toMinorUnits(convertFromBase(SHIPPING_FLAT_RATE, currency), currency.code);
+
+	const total = taxable + tax + shipping;
+
+	// gift cards and store credit pay like money, after tax and shipping
+	const payments = await applyCredits({ user, giftCardCodes, useStoreCredit, amountDue: total, currency });
+	const creditTotal = payments.reduce((sum, payment) => sum + payment.amount, 0);
+	const toMajor = (amount) => fromMinorUnits(amount, currency.code);
+
+	return {
+		userId: user._id.toString(),
+		currency: currency.code,
+		exchangeRate: currency.rate,
+		items: lines.map(({ unitAmount, ...line }) => ({
+			...line,
+			unitPrice: toMajor(unitAmount),
+			lineTotal: toMajor(unitAmount * line.quantity),
+		})),
+		subtotal: toMajor(subtotal),
+		// itemized: each promotion lists what it took off which line
+		discounts: discounts.map((discount) => ({
+			...discount,
+			amount: toMajor(discount.amount),
+			...(discount.lines && {
+				lines: discount.lines.map((line) => ({ ...line, amount: toMajor(line.amount) })),
+			}),
+		})),
+		discountTotal: toMajor(discountTotal),
+		couponCode: discounts.find((discount) => discount.type === "coupon")?.code || null,
+		pointsRedeemed: discounts.find((discount) => discount.type === "loyalty")?.points || 0,
+		taxRate: TAX_RATE,
+		tax: toMajor(tax),
+		shipping: toMajor(shipping),
+		total: toMajor(total),
+		baseTotal: convertToBase(toMajor(total), currency),
+		payments: payments.map((payment) => ({ ...payment, amount: toMajor(payment.amount) })),
+		creditTotal: toMajor(creditTotal),
+		amountDue: toMajor(total - creditTotal),
+		baseAmountDue: convertToBase(toMajor(total - creditTotal), currency),
+		// spending a gift card earns the points, not buying it
+		pointsToEarn: Math.floor(
+			convertToBase(toMajor(Math.max(total - giftCardSubtotal, 0)), currency) *
+				POINTS_PER_UNIT *
+				tierFor(user.loyaltyLifetimePoints).tier.multiplier
+		),
+	};
+};
+
+/**
+ * Stores a quote and signs its id, the token is what checkout accepts. Crypto payments are made
+ * on-chain with the plain id as their payment id.
+ * @returns {Promise<{quoteId: string, paymentId: string, expiresAt: Date}>}
+ */
+export const saveQuote = async (quote) => {
+	const id = crypto.randomUUID();
+	const expiresAt = new Date(Date.now() + QUOTE_TTL_SECONDS * 1000);
+
+	const stored = JSON.stringify({ ...quote, id, expiresAt });
+	await redis.set(quoteKey(id), stored, "EX", QUOTE_TTL_SECONDS);
+	await redis.set(paymentQuoteKey(id), stored, "EX", PAYMENT_QUOTE_TTL_SECONDS);
+	const quoteId = jwt.sign({ id, userId: quote.userId }, quoteSecret(), { expiresIn: QUOTE_TTL_SECONDS });
+
+	return { quoteId, paymentId: id, expiresAt };
+};
+
+/**
+ * Reads back a quote from its signed id, checking it was issued to this user and hasn't expired.
+ * The purchase rules are checked again, another order may have used up a per-customer limit since.
+ * @param {string} quoteId
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ * @throws {CartError}
+ */
+export const loadQuote = async (quoteId, user) => {
+	if (!quoteId) {
+		throw new CartError(400, "QUOTE_REQUIRED", "A quote is required, request one from /api/cart/quote first");
+	}
+
+	let payload;
+	try {
+		payload = jwt.verify(quoteId, quoteSecret());
+	} catch (error) {
+		throw new CartError(400, "QUOTE_EXPIRED", "This quote has expired, please review your cart again");
+	}
+	if (payload.userId !== user._id.toString()) {
+		throw new CartError(403, "QUOTE_FORBIDDEN", "This quote belongs to another account");
+	}
+
+	const stored = await redis.get(quoteKey(payload.id));
+	if (!stored) {
+		throw new CartError(400, "QUOTE_EXPIRED", "This quote has expired, please review your cart again");
+	}
+
+	const quote = JSON.parse(stored);
+	// lines added by a free_item promotion aren't the customer's choice, the rules don't apply to them
+	await validateCartLines(
+		quote.items
+			.filter((item) => !item.free)
+			.map((item) => ({ product: item.productId, variant: item.variantId, quantity: item.quantity })),
+		{ user }
+	);
+	return quote;
+};
+
+/**
+ * Reads back the quote a crypto payment was made for. Unlike loadQuote it outlives the quote and
+ * doesn't check the purchase rules again, once the payment is on-chain the order is owed as quoted.
+ * @param {string} paymentId - The quote's plain id, as passed to the payment contract
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ * @throws {CartError}
+ */
+export const loadPaymentQuote = async (paymentId, user) => {
+	const stored = await redis.get(paymentQuoteKey(paymentId));
+	if (!stored) {
+		throw new CartError(404, "PAYMENT_QUOTE_NOT_FOUND", "No order was quoted for this payment");
+	}
+
+	const quote = JSON.parse(stored);
+	if (quote.userId !== user._id.toString()) {
+		throw new CartError(403, "QUOTE_FORBIDDEN", "This quote belongs to another account");
+	}
+	return quote;
+};
@@ -0,0 +1,116 @@
+import { redis, getOrSetCache } from "./redis.js";
+import Order from "../models/order.model.js";
+
+const CO_PURCHASE_KEY = "recommendations:co_purchases";
+const POPULAR_KEY = "recommendations:popular";
+const CACHE_TTL = 24 * 60 * 60; // 1 day, refreshed well before that by the interval below
+const REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const MAX_RELATED = 20;
+const MAX_POPULAR_PER_CATEGORY = 20;
+
+/**
+ * "Customers who bought X also bought Y": for every product, the products that appear
+ * in the same orders ranked by how many orders they share
+ * @returns {Promise<Object<string, Array<{product: string, count: number}>>>}
+ */
+export const computeCoPurchases = async () => {
+	const rows = await Order.aggregate([
+		{ $match: { status: { $ne: "cancelled" } } },
+		{ $project: { items: { $setUnion: ["$products.product", []] } } },
+		{ $match: { "items.1": { $exists: true } } },
+		{ $project: { items: 1, source: "$items" } },
+		{ $unwind: "$source" },
+		{ $project: { source: 1, related: { $setDifference: ["$items", ["$source"]] } } },
+		{ $unwind: "$related" },
+		{ $group: { _id: { source: "$source", related: "$related" }, count: { $sum: 1 } } },
+		{ $sort: { count: -1 } },
+		{ $group: { _id: "$_id.source", related: { $push: { product: "$_id.related", count: "$count" } } } },
+		{ $project: { related: { $slice: ["$related", MAX_RELATED] } } },
+	]);
+
+	return Object.fromEntries(
+		rows.map((row) => [
+			row._id.toString(),
+			row.related.map((r) => ({ product: r.product.toString(), count: r.count })),
+		])
+	);
+};
+
+/**
+ * Best sellers per category, by units sold
+ * @returns {Promise<Object<string, string[]>>}
+ */
+export const computePopularByCategory = async () => {
+	const rows = await Order.aggregate([
+		{ $match: { status: { $ne: "cancelled" } } },
+		{ $unwind: "$products" },
+		{ $group: { _id: "$products.product", sold: { $sum: "$products.quantity" } } },
+		{ $lookup: { from: "products", localField: "_id", foreignField: "_id", as: "product" } },
+		{ $unwind: "$product" },
+		{ $sort: { sold: -1 } },
+		{ $group: { _id: "$product.category", products: { $push: "$_id" } } },
+		{ $project: { products: { $slice: ["$products", MAX_POPULAR_PER_CATEGORY] } } },
+	]);
+
+	return Object.fromEntries(rows.map((row) => [row._id, row.products.map((id) => id.toString())]));
+};
+
+export const getCoPurchases = () => getOrSetCache(CO_PURCHASE_KEY, computeCoPurchases, CACHE_TTL).then((data) => data || {});
+
+export const getPopularByCategory = () => getOrSetCache(POPULAR_KEY, computePopularByCategory, CACHE_TTL).then((data) => data || {});
+
+export const refreshRecommendations = async () => {
+	const [coPurchases, popular] = await Promise.all([computeCoPurchases(), computePopularByCategory()]);
+	await redis.set(CO_PURCHASE_KEY, JSON.stringify(coPurchases), "EX", CACHE_TTL);
+	await redis.set(POPULAR_KEY, JSON.stringify(popular), "EX", CACHE_TTL);
+};
+
+export const startRecommendationRefresher = () => {
+	const refresh = () =>
+		refreshRecommendations().catch((error) => {
+			console.error("Error refreshing recommendations:", error.message || error);
+		});
+
+	refresh();
+	setInterval(refresh, REFRESH_INTERVAL);
+};
+
+/**
+ * Ranks products related to the seeds. Products bought together with several seeds score higher.
+ * @param {string[]} seeds - Product ids the shopper has bought, has in their cart or is looking at
+ * @param {Object} coPurchases - Output of computeCoPurchases
+ * @returns {string[]} Product ids, best match first, seeds excluded
+ */
+export const rankRelated = (seeds, coPurchases) => {
+	const exclude = new Set(seeds);
+	const scores = new Map();
+
+	seeds.forEach((seed, position) => {
+		// most recent seeds come first and weigh a little more
+		const weight = 1 + 1 / (position + 1);
+		for (const { product, count } of coPurchases[seed] || []) {
+			if (exclude.has(product)) continue;
+			scores.set(product, (scores.get(product) || 0) + count * weight);
+		}
+	});
+
+	return [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([product]) => product);
+};
+
+/**
+ * Interleaves the best sellers of the given categories (all categories if none given)
+ * @returns {string[]} Product ids
+ */
+export const popularIn = (categories, popularByCategory) => {
+	const lists = (categories.length ? categories : Object.keys(popularByCategory))
+		.map((category) => popularByCategory[category] || [])
+		.filter((list) => list.length);
+
+	const result = [];
+	for (let i = 0; lists.some((list) => i < list.length); i++) {
+		for (const list of lists) {
+			if (i < list.length) result.push(list[i]);
+		}
+	}
+	return result;
+};
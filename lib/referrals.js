@@ -0,0 +1,234 @@
+import crypto from "crypto";
+import Coupon from "../models/coupon.model.js";
+import CreditTransaction from "../models/creditTransaction.model.js";
+import Order from "../models/order.model.js";
+import Referral from "../models/referral.model.js";
+import User from "../models/user.model.js";
+import { issueStoreCredit } from "./credit.js";
+import { enqueueNotification } from "./notifications.js";
+
+// what both sides get once the referee's first order is delivered, amounts in the base currency
+export const REFERRAL_REWARD_TYPE = process.env.REFERRAL_REWARD_TYPE === "coupon" ? "coupon" : "store_credit";
+export const REFERRER_REWARD = Number(process.env.REFERRAL_REFERRER_REWARD) || 10;
+export const REFEREE_REWARD = Number(process.env.REFERRAL_REFEREE_REWARD) || 10;
+const REWARD_COUPON_DAYS = Number(process.env.REFERRAL_COUPON_DAYS) || 90;
+
+// sharing one of these doesn't make two accounts the same person
+const PUBLIC_EMAIL_DOMAINS = new Set(
+	(
+		process.env.REFERRAL_PUBLIC_EMAIL_DOMAINS ||
+		"gmail.com,googlemail.com,yahoo.com,outlook.com,hotmail.com,live.com,icloud.com,me.com,aol.com,proton.me,protonmail.com,gmx.com"
+	)
+		.split(",")
+		.map((domain) => domain.trim().toLowerCase())
+);
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+export const findReferrer = (code) =>
+	User.findOne({ referralCode: String(code || "").trim().toUpperCase() }).select("_id email referralCode");
+
+/**
+ * Gives the customer a referral code if they don't have one yet, accounts from before the
+ * referral program get theirs the first time they ask for it
+ * @returns {Promise<string>} The code
+ */
+export const ensureReferralCode = async (user) => {
+	if (user.referralCode) return user.referralCode;
+
+	for (let attempt = 0; attempt < 5; attempt++) {
+		const code = Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+		try {
+			const updated = await User.findOneAndUpdate(
+				{ _id: user._id, referralCode: null },
+				{ referralCode: code },
+				{ new: true }
+			).select("referralCode");
+			// a concurrent request may have got there first
+			return updated ? updated.referralCode : (await User.findById(user._id).select("referralCode")).referralCode;
+		} catch (error) {
+			if (error.code !== 11000) throw error;
+		}
+	}
+	throw new Error("Could not generate a unique referral code");
+};
+
+/**
+ * Links a new account to whoever referred it. Referrals that look like the same person signing
+ * up twice are kept, but rejected so they never earn a reward.
+ * @param {Object} referee - The new user
+ * @param {Object} referrer - From findReferrer
+ * @returns {Promise<Object>} The referral
+ */
+export const recordReferral = async (referee, referrer) => {
+	const rejectionReason = emailRejection(referrer.email, referee.email);
+
+	await User.updateOne({ _id: referee._id }, { referredBy: referrer._id });
+	return Referral.create({
+		referrer: referrer._id,
+		referee: referee._id,
+		code: referrer.referralCode,
+		status: rejectionReason ? "rejected" : "pending",
+		rejectionReason,
+	});
+};
+
+/**
+ * Rewards both sides of a referral when the referee's first order is delivered, rewarding on payment
+ * would pay out for orders that are then cancelled. Only the first delivered order qualifies and
+ * running it again for that order doesn't reward twice. Never throws, the order
+ * is placed either way.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>} The referral, if this order qualified it
+ */
+export const rewardReferral = async (order) => {
+	try {
+		const referral = await Referral.findOneAndUpdate(
+			{
+				referee: order.user,
+				$or: [{ status: "pending" }, { status: "qualifying", order: order._id }],
+			},
+			{ status: "qualifying", order: order._id },
+			{ new: true }
+		);
+		if (!referral) return null;
+
+		if (await sharesWallet(order, referral.referrer)) {
+			referral.status = "rejected";
+			referral.rejectionReason = "same_wallet";
+			return referral.save();
+		}
+
+		referral.referrerReward = await grantReward(referral, referral.referrer, "referrer", REFERRER_REWARD);
+		referral.refereeReward = await grantReward(referral, referral.referee, "referee", REFEREE_REWARD);
+		referral.status = "rewarded";
+		referral.rewardedAt = new Date();
+		await referral.save();
+
+		await notifyReward(referral, referral.referrer, "referrer", referral.referrerReward);
+		await notifyReward(referral, referral.referee, "referee", referral.refereeReward);
+		return referral;
+	} catch (error) {
+		console.error("Error rewarding referral:", error.message || error);
+		return null;
+	}
+};
+
+/**
+ * Takes back the rewards of the referral an order qualified once that order is cancelled or fully
+ * refunded. The referral goes back to pending so the referee's next order can qualify it. Store credit
+ * already spent and coupons already used can't be taken back. Never throws.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>} The referral, if this order had qualified it
+ */
+export const reverseReferral = async (order) => {
+	try {
+		const referral = await Referral.findOne({ order: order._id, status: { $in: ["qualifying", "rewarded"] } });
+		if (!referral) return null;
+
+		await revokeReward(referral, referral.referrer, "referrer", referral.referrerReward);
+		await revokeReward(referral, referral.referee, "referee", referral.refereeReward);
+		referral.status = "pending";
+		referral.order = null;
+		referral.referrerReward = undefined;
+		referral.refereeReward = undefined;
+		referral.rewardedAt = null;
+		return referral.save();
+	} catch (error) {
+		console.error("Error reversing referral:", error.message || error);
+		return null;
+	}
+};
+
+// the same mailbox with a +tag or dots, or two addresses at the same company domain
+function emailRejection(referrerEmail, refereeEmail) {
+	const [referrerLocal, referrerDomain] = splitEmail(referrerEmail);
+	const [refereeLocal, refereeDomain] = splitEmail(refereeEmail);
+
+	if (referrerDomain === refereeDomain && referrerLocal === refereeLocal) return "self_referral";
+	if (referrerDomain === refereeDomain && !PUBLIC_EMAIL_DOMAINS.has(refereeDomain)) return "same_email_domain";
+	return null;
+}
+
+function splitEmail(email) {
+	const [local = "", domain = ""] = String(email).toLowerCase().split("@");
+	return [local.split("+")[0].replace(/\./g, ""), domain];
+}
+
+// crypto orders paid from a wallet the referrer has paid from before
+async function sharesWallet(order, referrerId) {
+	if (!/^0x[0-9a-f]{40}$/i.test(order.walletAddress || "")) return false;
+	return Boolean(await Order.exists({ user: referrerId, walletAddress: new RegExp(`^${order.walletAddress}$`, "i") }));
+}
+
+// rewards are keyed on the referral and its order, so issuing one again finds the first instead
+async function grantReward(referral, userId, role, amount) {
+	const description = role === "referrer" ? "Referral reward" : "Welcome reward for joining through a referral";
+
+	if (REFERRAL_REWARD_TYPE === "coupon") {
+		const code = `REF${role === "referrer" ? "R" : "J"}${referral._id}`.toUpperCase();
+		const expirationDate = new Date(Date.now() + REWARD_COUPON_DAYS * 24 * 60 * 60 * 1000);
+		let coupon = await Coupon.findOne({ code });
+		if (coupon && !coupon.isActive) {
+			// taken back when an earlier order was cancelled, the next qualifying order turns it on again
+			coupon.isActive = true;
+			coupon.expirationDate = expirationDate;
+			await coupon.save();
+		} else if (!coupon) {
+			coupon = await Coupon.create({
+				code,
+				description,
+				discountType: "fixed",
+				discountAmount: amount,
+				maxRedemptions: 1,
+				expirationDate,
+				userId,
+			});
+		}
+		return { type: "coupon", amount, coupon: coupon._id };
+	}
+
+	const reference = `referral:${referral._id}:${role}:${referral.order}`;
+	const entry =
+		(await issueStoreCredit(userId, amount, { reference, description })) || (await CreditTransaction.findOne({ reference }));
+	return { type: "store_credit", amount, creditTransaction: entry._id };
+}
+
+async function revokeReward(referral, userId, role, reward) {
+	if (!reward?.type) return;
+
+	if (reward.type === "coupon") {
+		await Coupon.updateOne({ _id: reward.coupon }, { isActive: false });
+		return;
+	}
+
+	// what is left of it, the customer may have spent some already
+	const user = await User.findById(userId).select("storeCredit");
+	const amount = Math.min(reward.amount, user?.storeCredit || 0);
+	if (amount <= 0) return;
+	await issueStoreCredit(userId, -amount, {
+		type: "adjust",
+		reference: `referral:${referral._id}:${role}:${referral.order}:reversed`,
+		order: referral.order,
+		description: "Referral reward taken back, the order was cancelled or refunded",
+	});
+}
+
+async function notifyReward(referral, userId, role, reward) {
+	const coupon = reward.coupon ? await Coupon.findById(reward.coupon).select("code expirationDate") : null;
+
+	await enqueueNotification({
+		user: userId,
+		type: "referral_reward",
+		subject: role === "referrer" ? "Your friend placed their first order" : "Thanks for your first order",
+		data: {
+			referralId: referral._id,
+			rewardType: reward.type,
+			amount: reward.amount,
+			couponCode: coupon?.code || null,
+			expiresAt: coupon?.expirationDate || null,
+		},
+		dedupeKey: `referral_reward:${referral._id}:${role}`,
+	});
+}
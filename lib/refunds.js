@@ -0,0 +1,306 @@
+import GiftCard from "../models/giftCard.model.js";
+import Order from "../models/order.model.js";
+import { stripe } from "./stripe.js";
+import { OrderError, transitionOrder } from "./orders.js";
+import { restockItems } from "./inventory.js";
+import { evaluateAlertsInBackground } from "./alerts.js";
+import { reverseRedemption } from "./coupons.js";
+import { reverseOrderPoints } from "./loyalty.js";
+import { reverseReferral } from "./referrals.js";
+import { CartError } from "./cart.js";
+import { clawBackGiftCards, issueStoreCredit, returnGiftCards } from "./credit.js";
+import { BASE_CURRENCY, convertToBase, roundAmount, toMinorUnits } from "./currency.js";
+
+// orders the customer can still cancel themselves, nothing has left the warehouse yet
+export const CANCELLABLE_STATUSES = ["pending", "processing"];
+
+/**
+ * Everything the customer paid for the order in its currency: the card or wallet charge plus
+ * gift cards and store credit
+ */
+export const paidAmount = (order) =>
+	roundAmount(
+		(order.chargedAmount ?? order.totalAmount) + order.payments.reduce((sum, payment) => sum + payment.amount, 0),
+		order.currency
+	);
+
+export const refundableAmount = (order) => Math.max(roundAmount(paidAmount(order) - (order.refundedAmount || 0), order.currency), 0);
+
+/**
+ * Refunds (part of) an order. The card part goes back through stripe, what was paid with gift cards,
+ * store credit or crypto comes back as store credit. Gift cards the order bought lose their share of every
+ * refund, a refund they can no longer cover is refused. Once nothing is left to refund the coupon use and
+ * any referral reward the order earned are reversed, and loyalty points are reversed in proportion to every refund.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.reference - Idempotency key, retrying with the same one returns the first refund
+ * @param {number} [options.amount] - In the order's currency, everything not refunded yet by default
+ * @param {string} [options.reason]
+ * @param {Array<{product: string, variant?: string, quantity: number}>} [options.items] - Units to put back in stock
+ * @param {boolean} [options.restockAll] - Put back every unit not restocked yet
+ * @param {string} [options.createdBy]
+ * @returns {Promise<{order: Object, refund: Object, duplicate: boolean}>}
+ * @throws {OrderError}
+ */
+export const refundOrder = async (order, { reference, amount = null, reason = "", items = [], restockAll = false, createdBy = null }) => {
+	const existing = order.refunds.find((refund) => refund.reference === reference);
+	if (existing?.status === "succeeded") {
+		return { order, refund: existing, duplicate: true };
+	}
+	if (existing) {
+		// a retry of a refund that stopped halfway picks up where it left off
+		return completeRefund(order, existing);
+	}
+
+	const remaining = refundableAmount(order);
+	const refundAmount = amount === null || amount === undefined ? remaining : roundAmount(Number(amount), order.currency);
+	const restock = restockAll ? unrestockedLines(order) : restockLines(order, items);
+	if (!Number.isFinite(refundAmount) || refundAmount < 0 || (refundAmount === 0 && !restock.length)) {
+		throw new OrderError(400, "INVALID_REFUND_AMOUNT", "The refund amount must be a positive number");
+	}
+	if (refundAmount > remaining) {
+		throw new OrderError(400, "REFUND_EXCEEDS_PAID", `At most ${remaining} ${order.currency.toUpperCase()} can still be refunded`, {
+			refundable: remaining,
+		});
+	}
+	await assertGiftCardsCover(order, refundAmount);
+
+	const claimed = await Order.findOneAndUpdate(
+		{
+			_id: order._id,
+			"refunds.reference": { $ne: reference },
+			// another refund may have used up what is left in the meantime
+			$expr: { $lte: [{ $add: [{ $ifNull: ["$refundedAmount", 0] }, refundAmount] }, paidAmount(order) + 1e-9] },
+		},
+		{
+			$inc: { refundedAmount: refundAmount },
+			$push: {
+				refunds: {
+					reference,
+					amount: refundAmount,
+					cardAmount: Math.min(refundAmount, cardRefundable(order)),
+					giftCardAmount: await giftCardShare(order, refundAmount),
+					reason,
+					items: restock,
+					createdBy,
+				},
+			},
+		},
+		{ new: true }
+	);
+	if (!claimed) {
+		const current = await Order.findById(order._id);
+		if (current.refunds.some((refund) => refund.reference === reference)) {
+			return refundOrder(current, { reference });
+		}
+		throw new OrderError(409, "REFUND_EXCEEDS_PAID", "The order was refunded in the meantime, please reload it", {
+			refundable: refundableAmount(current),
+		});
+	}
+
+	return completeRefund(claimed, claimed.refunds.find((refund) => refund.reference === reference));
+};
+
+/**
+ * Cancels an order that hasn't shipped, refunds what is left of it and puts every unit back in stock.
+ * Calling it again for a cancelled order finishes a refund that failed the first time.
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {string} [options.changedBy]
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} The updated order
+ * @throws {OrderError}
+ */
+export const cancelOrder = async (order, { changedBy = null, reason = "" } = {}) => {
+	if (order.status !== "cancelled") {
+		await assertGiftCardsCover(order, refundableAmount(order));
+		order = await transitionOrder(order, "cancelled", { changedBy, note: reason || undefined });
+	}
+
+	const reference = `cancel:${order._id}`;
+	// fully refunded and restocked before it was cancelled
+	const started = order.refunds.some((refund) => refund.reference === reference);
+	if (!started && refundableAmount(order) <= 0 && !unrestockedLines(order).length) {
+		return order;
+	}
+
+	const result = await refundOrder(order, {
+		reference,
+		reason: reason || "Order cancelled",
+		restockAll: true,
+		createdBy: changedBy,
+	});
+	return result.order;
+};
+
+// each step is skipped when an earlier attempt already did it
+async function completeRefund(order, refund) {
+	const reference = `refund:${order._id}:${refund.reference}`;
+
+	// taken back before any money goes out, so a spent card stops the refund
+	if (refund.giftCardAmount > 0 && !refund.giftCardsTakenBack) {
+		try {
+			await clawBackGiftCards(order.giftCardsIssued, refund.giftCardAmount, { reference, order: order._id });
+		} catch (error) {
+			await releaseRefund(order, refund);
+			if (error instanceof CartError) throw new OrderError(error.status, error.code, error.message, error.details);
+			throw error;
+		}
+		refund.giftCardsTakenBack = true;
+		await Order.updateOne({ _id: order._id, "refunds._id": refund._id }, { "refunds.$.giftCardsTakenBack": true });
+	}
+
+	if (refund.cardAmount > 0 && !refund.stripeRefundId) {
+		try {
+			const paymentIntent = await paymentIntentFor(order);
+			if (!paymentIntent) {
+				throw new OrderError(400, "NO_CARD_PAYMENT", "No stripe payment was found for this order");
+			}
+
+			const stripeRefund = await stripe.refunds.create(
+				{
+					payment_intent: paymentIntent,
+					amount: toMinorUnits(refund.cardAmount, order.currency),
+					metadata: { orderId: order._id.toString(), reference: refund.reference },
+				},
+				{ idempotencyKey: reference }
+			);
+			refund.stripeRefundId = stripeRefund.id;
+			await Order.updateOne({ _id: order._id, "refunds._id": refund._id }, { "refunds.$.stripeRefundId": stripeRefund.id });
+		} catch (error) {
+			// nothing has been paid back yet, free the amount so the refund can be tried again
+			await returnGiftCards(order.giftCardsIssued, reference);
+			await releaseRefund(order, refund);
+			if (error instanceof OrderError) throw error;
+			throw new OrderError(502, "REFUND_FAILED", `The card refund failed: ${error.message}`);
+		}
+	}
+
+	const creditAmount = roundAmount(refund.amount - refund.cardAmount, order.currency);
+	if (creditAmount > 0) {
+		refund.storeCreditAmount = convertToBase(creditAmount, { code: order.currency, rate: order.exchangeRate || 1 });
+		await issueStoreCredit(order.user, refund.storeCreditAmount, {
+			type: "refund",
+			reference,
+			order: order._id,
+			description: refund.reason || `Refund of order ${order._id}`,
+		});
+	}
+
+	if (refund.items.length && !refund.restocked) {
+		await restockItems(refund.items);
+		for (const item of refund.items) {
+			await Order.updateOne(
+				{ _id: order._id },
+				{ $inc: { "products.$[line].restockedQuantity": item.quantity } },
+				{ arrayFilters: [{ "line._id": item.line }] }
+			);
+		}
+		await Order.updateOne({ _id: order._id, "refunds._id": refund._id }, { "refunds.$.restocked": true });
+		evaluateAlertsInBackground(refund.items.map((item) => item.product.toString()));
+	}
+
+	if (refundableAmount(order) <= 0) {
+		await reverseRedemption(order._id);
+		await reverseReferral(order);
+	}
+	const paid = paidAmount(order);
+	if (refund.amount > 0 && paid > 0) {
+		await reverseOrderPoints(order, {
+			reference,
+			ratio: Math.min(refund.amount / paid, 1),
+		});
+	}
+
+	const updated = await Order.findOneAndUpdate(
+		{ _id: order._id, "refunds._id": refund._id },
+		{ "refunds.$.status": "succeeded", "refunds.$.storeCreditAmount": refund.storeCreditAmount },
+		{ new: true }
+	);
+	return { order: updated, refund: updated.refunds.id(refund._id), duplicate: false };
+}
+
+function releaseRefund(order, refund) {
+	return Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refund.amount }, $pull: { refunds: { _id: refund._id } } });
+}
+
+// the refund's share of the gift cards the order bought, in the base currency
+async function giftCardShare(order, amount) {
+	const paid = paidAmount(order);
+	if (!order.giftCardsIssued.length || !amount || paid <= 0) return 0;
+
+	const cards = await GiftCard.find({ _id: { $in: order.giftCardsIssued } }).select("initialBalance");
+	const issued = cards.reduce((sum, card) => sum + card.initialBalance, 0);
+	return roundAmount(Math.min((issued * amount) / paid, issued), BASE_CURRENCY);
+}
+
+async function assertGiftCardsCover(order, amount) {
+	const share = await giftCardShare(order, amount);
+	if (share <= 0) return;
+
+	const cards = await GiftCard.find({ _id: { $in: order.giftCardsIssued }, status: "active" }).select("balance");
+	const balance = cards.reduce((sum, card) => sum + card.balance, 0);
+	if (balance + 1e-9 < share) {
+		throw new OrderError(409, "GIFT_CARD_SPENT", "The gift cards bought with this order have already been spent", {
+			giftCardShortfall: roundAmount(share - balance, BASE_CURRENCY),
+		});
+	}
+}
+
+// what is left of the card charge, other payment methods are refunded as store credit
+function cardRefundable(order) {
+	if (order.paymentMethod !== "stripe") return 0;
+	const refunded = order.refunds.reduce((sum, refund) => sum + refund.cardAmount, 0);
+	return Math.max(roundAmount((order.chargedAmount ?? order.totalAmount) - refunded, order.currency), 0);
+}
+
+async function paymentIntentFor(order) {
+	if (order.stripeSessionId) {
+		const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
+		return session.payment_intent;
+	}
+	return order.paymentId?.startsWith("pi_") ? order.paymentId : null;
+}
+
+function unrestockedLines(order) {
+	return order.products
+		.map((line) => ({
+			line: line._id,
+			product: line.product,
+			variant: line.variant,
+			quantity: line.quantity - (line.restockedQuantity || 0),
+		}))
+		.filter((item) => item.quantity > 0);
+}
+
+// spreads the requested units over the order lines that still have units to give back
+function restockLines(order, items) {
+	const available = unrestockedLines(order);
+	const restock = [];
+
+	for (const item of items) {
+		let quantity = Number(item.quantity);
+		if (!Number.isInteger(quantity) || quantity < 1) {
+			throw new OrderError(400, "INVALID_REFUND_ITEMS", "Quantities to restock must be whole numbers");
+		}
+
+		for (const line of available) {
+			if (!quantity) break;
+			if (line.product.toString() !== String(item.product)) continue;
+			if ((line.variant?.toString() || null) !== (item.variant ? String(item.variant) : null)) continue;
+
+			const taken = Math.min(line.quantity, quantity);
+			if (!taken) continue;
+			restock.push({ ...line, quantity: taken });
+			line.quantity -= taken;
+			quantity -= taken;
+		}
+		if (quantity > 0) {
+			throw new OrderError(400, "INVALID_REFUND_ITEMS", "More units to restock than the order has left", {
+				productId: String(item.product),
+				variantId: item.variant ? String(item.variant) : null,
+			});
+		}
+	}
+	return restock;
+}
@@ -0,0 +1,33 @@
+/**
+ * Looks up a variant on a product document or lean object
+ * @param {Object} product
+ * @param {string} variantId
+ * @returns {Object|null}
+ */
+export const findVariant = (product, variantId) => {
+	if (!variantId || !product?.variants) return null;
+	return product.variants.find((variant) => variant._id.toString() === variantId.toString()) || null;
+};
+
+export const hasVariants = (product) => Boolean(product?.variants?.length);
+
+/**
+ * Human readable variant name, e.g. "M / Red"
+ */
+export const variantLabel = (variant) => {
+	if (!variant?.attributes) return "";
+	const attributes = variant.attributes instanceof Map ? [...variant.attributes.values()] : Object.values(variant.attributes);
+	return attributes.join(" / ");
+};
+
+export const displayName = (product, variant) => {
+	const label = variantLabel(variant);
+	return label ? `${product.name} (${label})` : product.name;
+};
+
+/**
+ * Variant price override if set, otherwise the product price
+ */
+export const unitPrice = (product, variant) => variant?.price ?? product.price;
+
+export const displayImage = (product, variant) => variant?.image || product.image;
@@ -40,4 +40,34 @@ export const adminRoute = async (req, res, next) => {
         console.log("Error in adminRoute middleware", error.message);
         res.status(500).json({ message: "Unauthorized- Server error", error: error.message });
     }
-};
\ No newline at end of file
+};
+
+// like protectedRoute, but lets visitors without an access token through with req.user left unset.
+// A token that is there but expired or invalid still gets a 401, so the client refreshes it instead of
+// silently falling back to the guest cart
+export const optionalAuth = async (req, res, next) => {
+    try {
+        const accessToken = req.cookies.accessToken;
+        if (!accessToken) {
+            return next();
+        }
+        let decoded;
+        try {
+            decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET);
+        } catch (error) {
+            if (error.name === "TokenExpiredError") {
+                return res.status(401).json({ message: "User not authenticated- Token expired" });
+            }
+            return res.status(401).json({ message: "User not authenticated- Invalid access token" });
+        }
+        const user = await User.findById(decoded.userId).select("-password");
+        if (!user) {
+            return res.status(401).json({ message: "User not authenticated- No user found" });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.log("Error in optionalAuth middleware", error.message);
+        res.status(500).json({ message: "Unauthorized- Server error", error: error.message });
+    }
+};
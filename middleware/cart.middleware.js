@@ -0,0 +1,40 @@
+import { getGuestCartId, issueGuestCartId, loadGuestCart, saveGuestCart } from "../lib/guestCart.js";
+
+/**
+ * Exposes the shopper's cart as req.cart = { items, save(), isGuest }, run after optionalAuth.
+ * Signed-in users get user.cartItems; anonymous visitors get a cart kept in Redis under a
+ * signed cookie, which is only issued once the visitor first changes their cart.
+ */
+export const resolveCart = async (req, res, next) => {
+	try {
+		if (req.user) {
+			const user = req.user;
+			req.cart = {
+				isGuest: false,
+				get items() {
+					return user.cartItems;
+				},
+				set items(items) {
+					user.cartItems = items;
+				},
+				save: () => user.save(),
+			};
+			return next();
+		}
+
+		let cartId = getGuestCartId(req);
+		const items = await loadGuestCart(cartId);
+		req.cart = {
+			isGuest: true,
+			items,
+			async save() {
+				cartId = cartId || issueGuestCartId(res);
+				await saveGuestCart(cartId, this.items);
+			},
+		};
+		next();
+	} catch (error) {
+		console.log("Error in resolveCart middleware", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
@@ -0,0 +1,29 @@
+import { BASE_CURRENCY, getRates } from "../lib/currency.js";
+
+/**
+ * Picks the shopper's currency from ?currency=, the X-Currency header or the currency cookie
+ * and exposes it as req.currency = { code, rate }. Unknown currencies are rejected when asked
+ * for explicitly in the query, otherwise we quietly fall back to the base currency.
+ */
+export const resolveCurrency = async (req, res, next) => {
+	const fromQuery = req.query.currency;
+	const requested = String(fromQuery || req.get("X-Currency") || req.cookies.currency || BASE_CURRENCY).toLowerCase();
+
+	try {
+		const rates = await getRates();
+
+		if (!rates[requested]) {
+			if (fromQuery) {
+				return res.status(400).json({ message: `Unsupported currency ${requested}` });
+			}
+			req.currency = { code: BASE_CURRENCY, rate: 1 };
+		} else {
+			req.currency = { code: requested, rate: rates[requested] };
+		}
+	} catch (error) {
+		console.log("Error in resolveCurrency middleware", error.message);
+		req.currency = { code: BASE_CURRENCY, rate: 1 };
+	}
+
+	next();
+};
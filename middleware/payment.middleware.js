@@ -8,13 +8,9 @@ import { ethers } from "ethers";
  * Performs preliminary validation before the actual blockchain verification
  */
 export const validateCryptoPayment = asyncHandler(async (req, res, next) => {
-    const { products, paymentId, walletAddress, transactionHash, amount } = req.body;
+    const { paymentId, walletAddress, transactionHash } = req.body;
     
     // Validate required fields
-    if (!products || !Array.isArray(products) || products.length === 0) {
-        return res.status(400).json({ error: "Invalid products data" });
-    }
-    
     if (!paymentId) {
         return res.status(400).json({ error: "Payment ID is required" });
     }
@@ -27,10 +23,6 @@ export const validateCryptoPayment = asyncHandler(async (req, res, next) => {
         return res.status(400).json({ error: "Transaction hash is required" });
     }
     
-    if (!amount || isNaN(amount) || amount <= 0) {
-        return res.status(400).json({ error: "Invalid amount" });
-    }
-    
     // Validate wallet address format
     if (!ethers.isAddress(walletAddress)) {
         return res.status(400).json({ error: "Invalid wallet address format" });
@@ -0,0 +1,27 @@
+import multer from "multer";
+
+const IMPORT_MIME_TYPES = ["text/csv", "application/json", "application/vnd.ms-excel", "text/plain"];
+
+const dataFile = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+	fileFilter: (req, file, cb) => {
+		const isCsvOrJson = /\.(csv|json)$/i.test(file.originalname) || IMPORT_MIME_TYPES.includes(file.mimetype);
+		if (!isCsvOrJson) {
+			return cb(new Error("Only CSV or JSON files are supported"));
+		}
+		cb(null, true);
+	},
+}).single("file");
+
+/**
+ * Accepts a single data file (CSV or JSON) in the "file" field, kept in memory on req.file
+ */
+export const dataFileUpload = (req, res, next) => {
+	dataFile(req, res, (error) => {
+		if (error) {
+			return res.status(400).json({ message: error.message });
+		}
+		next();
+	});
+};
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const categorySchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, "Name is required"],
+			trim: true,
+		},
+		// products reference their category by slug
+		slug: {
+			type: String,
+			required: true,
+			unique: true,
+			lowercase: true,
+			trim: true,
+			match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug may only contain lowercase letters, numbers and dashes"],
+		},
+		parent: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Category",
+			default: null,
+		},
+		displayOrder: {
+			type: Number,
+			default: 0,
+		},
+		image: {
+			type: String,
+			default: "",
+		},
+	},
+	{ timestamps: true }
+);
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
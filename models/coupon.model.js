@@ -6,26 +6,78 @@ const couponSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 			unique: true,
+			uppercase: true,
+			trim: true,
+		},
+		description: {
+			type: String,
+			default: "",
+		},
+		discountType: {
+			type: String,
+			enum: ["percentage", "fixed"],
+			default: "percentage",
 		},
 		discountPercentage: {
 			type: Number,
-			required: true,
 			min: 0,
 			max: 100,
+			required: function () {
+				return this.discountType === "percentage";
+			},
+		},
+		// fixed discounts are in the base currency and converted at checkout
+		discountAmount: {
+			type: Number,
+			min: 0,
+			required: function () {
+				return this.discountType === "fixed";
+			},
+		},
+		// base currency, compared with the cart subtotal before discounts
+		minOrderValue: {
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		startsAt: {
+			type: Date,
+			default: null,
 		},
 		expirationDate: {
 			type: Date,
-			required: true,
+			default: null,
 		},
 		isActive: {
 			type: Boolean,
 			default: true,
 		},
+		// null for public codes, otherwise only this customer can use it
 		userId: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "User",
-			required: true,
-			unique: true,
+			default: null,
+		},
+		// null means unlimited
+		maxRedemptions: {
+			type: Number,
+			min: 1,
+			default: null,
+		},
+		maxRedemptionsPerUser: {
+			type: Number,
+			min: 1,
+			default: 1,
+		},
+		// pending and completed redemptions, kept in step with CouponRedemption by lib/coupons.js
+		redemptionCount: {
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
 		},
 	},
 	{
@@ -33,6 +85,12 @@ const couponSchema = new mongoose.Schema(
 	}
 );
 
+couponSchema.index({ userId: 1, isActive: 1 });
+
+couponSchema.path("expirationDate").validate(function (value) {
+	return !value || !this.startsAt || value > this.startsAt;
+}, "expirationDate must be after startsAt");
+
 const Coupon = mongoose.model("Coupon", couponSchema);
 
 export default Coupon;
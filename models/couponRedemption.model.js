@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// log of every use of a coupon, a redemption is pending while its checkout is open
+const couponRedemptionSchema = new mongoose.Schema(
+	{
+		coupon: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Coupon",
+			required: true,
+		},
+		code: {
+			type: String,
+			required: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		order: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Order",
+			default: null,
+		},
+		// the checkout's stock reservation reference
+		reference: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		// nth use of the coupon by this customer, unique while the redemption counts
+		// so concurrent checkouts can't go over maxRedemptionsPerUser
+		slot: {
+			type: Number,
+		},
+		// discount given, in the charged currency
+		amount: {
+			type: Number,
+			required: true,
+		},
+		currency: {
+			type: String,
+			lowercase: true,
+		},
+		status: {
+			type: String,
+			enum: ["pending", "redeemed", "released", "reversed"],
+			default: "pending",
+		},
+		expiresAt: {
+			type: Date,
+		},
+		redeemedAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+couponRedemptionSchema.index(
+	{ coupon: 1, user: 1, slot: 1 },
+	{ unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// audit trail of every movement of gift card and store credit balances
+const creditTransactionSchema = new mongoose.Schema(
+	{
+		account: {
+			type: String,
+			enum: ["gift_card", "store_credit"],
+			required: true,
+		},
+		giftCard: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "GiftCard",
+			default: null,
+		},
+		// store credit: the holder; gift cards: who spent it
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		type: {
+			type: String,
+			enum: ["issue", "redeem", "refund", "adjust"],
+			required: true,
+		},
+		// signed, base currency
+		amount: {
+			type: Number,
+			required: true,
+		},
+		// redemptions are pending while their checkout is open, released ones gave the balance back
+		status: {
+			type: String,
+			enum: ["pending", "posted", "released"],
+			default: "posted",
+		},
+		order: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Order",
+			default: null,
+		},
+		// the checkout's reservation reference, for pending redemptions
+		checkout: {
+			type: String,
+		},
+		// makes issues idempotent, e.g. a refund id
+		reference: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+		description: {
+			type: String,
+			default: "",
+		},
+		// a refund that emptied the gift card and so disabled it, putting the amount back enables it again
+		disabledCard: {
+			type: Boolean,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		expiresAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+creditTransactionSchema.index({ account: 1, user: 1, createdAt: -1 });
+creditTransactionSchema.index({ giftCard: 1, createdAt: -1 });
+creditTransactionSchema.index({ checkout: 1, status: 1 });
+creditTransactionSchema.index({ status: 1, expiresAt: 1 });
+
+const CreditTransaction = mongoose.model("CreditTransaction", creditTransactionSchema);
+
+export default CreditTransaction;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// how many units of `currency` one unit of the base currency buys
+const exchangeRateSchema = new mongoose.Schema(
+	{
+		currency: {
+			type: String,
+			required: true,
+			unique: true,
+			lowercase: true,
+			trim: true,
+			match: [/^[a-z]{3}$/, "Currency must be a 3 letter ISO code"],
+		},
+		rate: {
+			type: Number,
+			required: true,
+			min: [0.000001, "Rate must be positive"],
+		},
+		source: {
+			type: String,
+			enum: ["manual", "import"],
+			default: "manual",
+		},
+		updatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+	},
+	{ timestamps: true }
+);
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+export default ExchangeRate;
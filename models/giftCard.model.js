@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const giftCardSchema = new mongoose.Schema(
+	{
+		code: {
+			type: String,
+			required: true,
+			unique: true,
+			uppercase: true,
+		},
+		// balances are in the base currency, converted when spent in another one
+		initialBalance: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		balance: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		status: {
+			type: String,
+			enum: ["active", "disabled"],
+			default: "active",
+		},
+		expiresAt: {
+			type: Date,
+			default: null,
+		},
+		purchaser: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		// the order that bought the card, null for cards issued by an admin
+		order: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Order",
+			default: null,
+		},
+		// one card per unit of a gift card order line, e.g. <orderId>:<line>:<unit>
+		sourceReference: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+		issuedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		note: {
+			type: String,
+			default: "",
+		},
+	},
+	{ timestamps: true }
+);
+
+giftCardSchema.index({ purchaser: 1, createdAt: -1 });
+
+const GiftCard = mongoose.model("GiftCard", giftCardSchema);
+
+export default GiftCard;
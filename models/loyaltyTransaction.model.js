@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// the points ledger, User.loyaltyPoints is the running balance of posted entries and pending holds
+const loyaltyTransactionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: ["earn", "redeem", "expire", "reverse", "adjust"],
+			required: true,
+		},
+		// signed, negative for points leaving the balance
+		points: {
+			type: Number,
+			required: true,
+		},
+		// a redemption is pending while its checkout is open
+		status: {
+			type: String,
+			enum: ["pending", "posted"],
+			default: "posted",
+		},
+		order: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Order",
+			default: null,
+		},
+		// makes each entry idempotent, e.g. earn:<orderId> or the checkout's reservation reference
+		reference: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+		description: {
+			type: String,
+			default: "",
+		},
+		// earn entries only: points of this entry not yet spent or expired, oldest are spent first
+		remaining: {
+			type: Number,
+			min: 0,
+		},
+		expiresAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ type: 1, expiresAt: 1, remaining: 1 });
+
+const LoyaltyTransaction = mongoose.model("LoyaltyTransaction", loyaltyTransactionSchema);
+
+export default LoyaltyTransaction;
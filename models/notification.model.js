@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// outbox of messages waiting to be delivered to customers
+const notificationSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		type: {
+			type: String,
+			required: true,
+		},
+		channel: {
+			type: String,
+			enum: ["email"],
+			default: "email",
+		},
+		subject: {
+			type: String,
+			required: true,
+		},
+		data: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {},
+		},
+		status: {
+			type: String,
+			enum: ["pending", "sent", "failed", "cancelled"],
+			default: "pending",
+		},
+		// the same event can only ever be enqueued once
+		dedupeKey: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		sentAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+notificationSchema.index({ status: 1, createdAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
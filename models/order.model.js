@@ -14,6 +14,16 @@ const orderSchema = new mongoose.Schema(
 					ref: "Product",
 					required: true,
 				},
+				// the chosen variant, sku is kept as a snapshot in case the variant is removed later
+				variant: {
+					type: mongoose.Schema.Types.ObjectId,
+				},
+				sku: {
+					type: String,
+				},
+				// how the line looked when it was bought
+				name: String,
+				image: String,
 				quantity: {
 					type: Number,
 					required: true,
@@ -23,30 +33,196 @@ const orderSchema = new mongoose.Schema(
 					type: Number,
 					required: true,
 				},
+				// units put back in stock by cancellations and refunds
+				restockedQuantity: {
+					type: Number,
+					default: 0,
+				},
 			},
 		],
+		// always in the base currency so analytics can sum orders paid in different currencies
 		totalAmount: {
 			type: Number,
 			required: true,
 		},
+		// what the customer was actually charged
+		currency: {
+			type: String,
+			lowercase: true,
+			default: "usd",
+		},
+		chargedAmount: {
+			type: Number,
+		},
+		exchangeRate: {
+			type: Number,
+			default: 1,
+		},
+		// breakdown of the quote the order was paid from, in the charged currency
+		couponCode: {
+			type: String,
+		},
+		discounts: [
+			{
+				_id: false,
+				type: { type: String },
+				code: String,
+				promotion: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "Promotion",
+				},
+				description: String,
+				amount: Number,
+			},
+		],
+		// gift cards and store credit that paid part of the total, in the charged currency
+		payments: [
+			{
+				_id: false,
+				type: {
+					type: String,
+					enum: ["gift_card", "store_credit"],
+				},
+				giftCard: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "GiftCard",
+				},
+				code: String,
+				amount: Number,
+			},
+		],
+		giftCardsIssued: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "GiftCard",
+			},
+		],
+		taxAmount: {
+			type: Number,
+			default: 0,
+		},
+		shippingAmount: {
+			type: Number,
+			default: 0,
+		},
 		status: {
 			type: String,
 			enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
 			default: "pending",
 		},
+		// every status the order has been in, appended on save
+		statusHistory: [
+			{
+				_id: false,
+				status: String,
+				at: {
+					type: Date,
+					default: Date.now,
+				},
+				changedBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					default: null,
+				},
+				note: String,
+			},
+		],
+		// in the charged currency, card refunds go back through stripe and the rest as store credit
+		refunds: [
+			{
+				// idempotency key, retrying a refund with the same reference doesn't refund twice
+				reference: {
+					type: String,
+					required: true,
+				},
+				amount: {
+					type: Number,
+					required: true,
+				},
+				cardAmount: {
+					type: Number,
+					default: 0,
+				},
+				// base currency
+				storeCreditAmount: {
+					type: Number,
+					default: 0,
+				},
+				// base currency, the part of the refund that paid for gift cards and comes back off them
+				giftCardAmount: {
+					type: Number,
+					default: 0,
+				},
+				giftCardsTakenBack: {
+					type: Boolean,
+					default: false,
+				},
+				reason: String,
+				status: {
+					type: String,
+					enum: ["pending", "succeeded"],
+					default: "pending",
+				},
+				stripeRefundId: String,
+				items: [
+					{
+						_id: false,
+						// the order line the units came from
+						line: mongoose.Schema.Types.ObjectId,
+						product: {
+							type: mongoose.Schema.Types.ObjectId,
+							ref: "Product",
+						},
+						variant: mongoose.Schema.Types.ObjectId,
+						quantity: Number,
+					},
+				],
+				restocked: {
+					type: Boolean,
+					default: false,
+				},
+				createdBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					default: null,
+				},
+				createdAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
+		refundedAmount: {
+			type: Number,
+			default: 0,
+		},
+		// why an admin has to look at the order, e.g. a payment that landed after its checkout
+		// expired and whose stock, coupon, points, gift card or store credit could no longer be taken
+		reviewReasons: [
+			{
+				type: String,
+				enum: ["stock_unavailable", "purchase_limit_exceeded", "coupon_unavailable", "points_unavailable", "credit_unavailable"],
+			},
+		],
+		// one order per checkout session, even when the success page is hit twice at once
 		stripeSessionId: {
 			type: String,
+			unique: true,
+			sparse: true,
 		},
 		paymentMethod: {
 			type: String,
-			enum: ["stripe", "crypto"],
+			enum: ["stripe", "crypto", "credit"],
 			default: "stripe"
 		},
 		paymentId: {
 			type: String,
 		},
+		// one order per transaction, even when it is verified twice at once
 		transactionHash: {
 			type: String,
+			unique: true,
+			sparse: true,
 		},
 		walletAddress: {
 			type: String,
@@ -65,6 +241,15 @@ const orderSchema = new mongoose.Schema(
 	{ timestamps: true }
 );
 
+orderSchema.index({ user: 1, createdAt: -1 });
+
+orderSchema.pre("save", function (next) {
+	if (this.isNew || this.isModified("status")) {
+		this.statusHistory.push({ status: this.status, at: new Date() });
+	}
+	next();
+});
+
 const Order = mongoose.model("Order", orderSchema);
 
 export default Order;
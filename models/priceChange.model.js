@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// audit trail of every change to a product's pricing fields
+const priceChangeSchema = new mongoose.Schema(
+	{
+		product: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+		},
+		// e.g. "price", "salePrice", "saleEndsAt" or "variants.TEE-M-RED.price"
+		field: {
+			type: String,
+			required: true,
+		},
+		from: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+		to: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+		changedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		source: {
+			type: String,
+			enum: ["create", "update", "import"],
+			default: "update",
+		},
+	},
+	{ timestamps: true }
+);
+
+priceChangeSchema.index({ product: 1, createdAt: -1 });
+
+const PriceChange = mongoose.model("PriceChange", priceChangeSchema);
+
+export default PriceChange;
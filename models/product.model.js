@@ -1,11 +1,56 @@
 import mongoose from "mongoose";
 
+const variantSchema = new mongoose.Schema({
+	sku: {
+		type: String,
+		required: true,
+		trim: true,
+	},
+	// one value per option axis, e.g. { size: "M", color: "Red" }
+	attributes: {
+		type: Map,
+		of: String,
+		default: {},
+	},
+	// overrides the product price when set
+	price: {
+		type: Number,
+		min: 0,
+	},
+	// used instead of the product sale price during the product's sale window
+	salePrice: {
+		type: Number,
+		min: 0,
+	},
+	image: {
+		type: String,
+		default: "",
+	},
+	stock: {
+		type: Number,
+		min: 0,
+		default: 0,
+	},
+	reservedStock: {
+		type: Number,
+		min: 0,
+		default: 0,
+	},
+});
+
 const productSchema = new mongoose.Schema(
 	{
 		name: {
 			type: String,
 			required: true,
 		},
+		// catalog reference used to match rows on bulk import, variants carry their own SKUs
+		sku: {
+			type: String,
+			trim: true,
+			unique: true,
+			sparse: true,
+		},
 		description: {
 			type: String,
 			required: false,
@@ -16,6 +61,29 @@ const productSchema = new mongoose.Schema(
 			min: 0,
 			required: true,
 		},
+		// charged instead of price between saleStartsAt and saleEndsAt, see lib/pricing.js
+		salePrice: {
+			type: Number,
+			min: 0,
+			default: null,
+		},
+		saleStartsAt: {
+			type: Date,
+			default: null,
+		},
+		saleEndsAt: {
+			type: Date,
+			default: null,
+		},
+		// fixed prices for specific currencies, e.g. { eur: 19, gbp: 17 }; others are converted from price
+		currencyPrices: {
+			type: Map,
+			of: {
+				type: Number,
+				min: 0,
+			},
+			default: {},
+		},
 		image: {
 			type: String,
 			required: false,
@@ -29,10 +97,124 @@ const productSchema = new mongoose.Schema(
 			type: Boolean,
 			default: false,
 		},
+		// buying a gift_card product issues a gift card worth the price paid for each unit
+		productType: {
+			type: String,
+			enum: ["standard", "gift_card"],
+			default: "standard",
+		},
+		// only published products are shown on the storefront, archived replaces hard deletes
+		status: {
+			type: String,
+			enum: ["draft", "published", "archived"],
+			default: "published",
+		},
+		// a draft with publishAt goes live at that time, a published product with unpublishAt is archived then
+		publishAt: {
+			type: Date,
+			default: null,
+		},
+		unpublishAt: {
+			type: Date,
+			default: null,
+		},
+		archivedAt: {
+			type: Date,
+			default: null,
+		},
+		stock: {
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		// units held by checkouts that haven't completed yet, see lib/inventory.js
+		reservedStock: {
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		// purchase rules enforced by lib/cart.js, unset limits mean no limit
+		isPurchasable: {
+			type: Boolean,
+			default: true,
+		},
+		maxPerOrder: {
+			type: Number,
+			min: 1,
+			default: null,
+		},
+		// limited drops: at most maxPerCustomer units per customer within limitWindowDays (all time if unset)
+		maxPerCustomer: {
+			type: Number,
+			min: 1,
+			default: null,
+		},
+		limitWindowDays: {
+			type: Number,
+			min: 1,
+			default: null,
+		},
+		// attribute axes, e.g. [{ name: "size", values: ["S", "M", "L"] }]
+		options: [
+			{
+				_id: false,
+				name: {
+					type: String,
+					required: true,
+					trim: true,
+				},
+				values: [String],
+			},
+		],
+		// when a product has variants, stock is tracked per variant instead of on the product
+		variants: [variantSchema],
+		// denormalized from approved reviews so listings can show stars without a lookup
+		averageRating: {
+			type: Number,
+			default: 0,
+		},
+		reviewCount: {
+			type: Number,
+			default: 0,
+		},
 	},
 	{ timestamps: true }
 );
 
+// products created before the status field existed have none and count as published
+productSchema.statics.publishedFilter = function () {
+	return { status: { $in: ["published", null] } };
+};
+
+productSchema.methods.isPublished = function () {
+	return !this.status || this.status === "published";
+};
+
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ status: 1, unpublishAt: 1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+productSchema.path("variants").validate(function (variants) {
+	const skus = new Set();
+	for (const variant of variants) {
+		if (skus.has(variant.sku)) {
+			throw new Error(`Duplicate SKU ${variant.sku}`);
+		}
+		skus.add(variant.sku);
+
+		for (const [name, value] of variant.attributes || []) {
+			const option = this.options.find((o) => o.name === name);
+			if (!option || !option.values.includes(value)) {
+				throw new Error(`Variant ${variant.sku} has unknown option ${name}: ${value}`);
+			}
+		}
+	}
+	return true;
+});
+
+// text index used by the search endpoint, name matches rank above description matches
+productSchema.index({ name: "text", description: "text" }, { weights: { name: 5, description: 1 } });
+
 const Product = mongoose.model("Product", productSchema);
 
 export default Product;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const productAlertSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		product: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+		},
+		variant: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null,
+		},
+		type: {
+			type: String,
+			enum: ["back_in_stock", "price_drop"],
+			required: true,
+		},
+		// price_drop only: notify once the effective price (base currency) is below this
+		targetPrice: {
+			type: Number,
+			min: 0,
+		},
+		status: {
+			type: String,
+			enum: ["active", "triggered", "cancelled"],
+			default: "active",
+		},
+		triggeredAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+// one live alert of each kind per product/variant and customer
+productAlertSchema.index(
+	{ user: 1, product: 1, variant: 1, type: 1 },
+	{ unique: true, partialFilterExpression: { status: "active" } }
+);
+productAlertSchema.index({ product: 1, status: 1 });
+
+const ProductAlert = mongoose.model("ProductAlert", productAlertSchema);
+
+export default ProductAlert;
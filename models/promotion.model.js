@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+
+const PROMOTION_ACTIONS = [
+	"percent_off_items", // value% off every matching unit
+	"amount_off_items", // value off every matching unit
+	"percent_off_order", // value% off the cart
+	"amount_off_order", // value off the cart
+	"buy_x_get_y", // for every buyQuantity + getQuantity matching units, the cheapest getQuantity are free (or value% off)
+	"free_item", // adds freeProduct to the order at no charge
+];
+const CUSTOMER_SEGMENTS = ["new", "returning"];
+
+const promotionSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		description: {
+			type: String,
+			default: "",
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		startsAt: {
+			type: Date,
+			default: null,
+		},
+		endsAt: {
+			type: Date,
+			default: null,
+		},
+		// higher runs first; an exclusive promotion is only applied when nothing else has been,
+		// and stops every promotion after it
+		priority: {
+			type: Number,
+			default: 0,
+		},
+		exclusive: {
+			type: Boolean,
+			default: false,
+		},
+		combinesWithCoupons: {
+			type: Boolean,
+			default: true,
+		},
+		// every condition that is set has to hold, product and category scope also pick the discounted lines
+		conditions: {
+			categories: [String],
+			products: [
+				{
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "Product",
+				},
+			],
+			minQuantity: {
+				type: Number,
+				min: 1,
+				default: null,
+			},
+			// base currency, over the matching lines
+			minSubtotal: {
+				type: Number,
+				min: 0,
+				default: null,
+			},
+			customerSegments: [
+				{
+					type: String,
+					enum: CUSTOMER_SEGMENTS,
+				},
+			],
+			firstOrderOnly: {
+				type: Boolean,
+				default: false,
+			},
+		},
+		action: {
+			type: {
+				type: String,
+				enum: PROMOTION_ACTIONS,
+				required: true,
+			},
+			// percentage, or an amount in the base currency
+			value: {
+				type: Number,
+				min: 0,
+				default: 0,
+			},
+			buyQuantity: {
+				type: Number,
+				min: 1,
+			},
+			getQuantity: {
+				type: Number,
+				min: 1,
+			},
+			freeProduct: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "Product",
+			},
+			freeVariant: {
+				type: mongoose.Schema.Types.ObjectId,
+			},
+		},
+	},
+	{ timestamps: true }
+);
+
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+promotionSchema.pre("validate", function (next) {
+	const { type, value, buyQuantity, getQuantity, freeProduct } = this.action || {};
+
+	if (type?.startsWith("percent_off") && value > 100) {
+		this.invalidate("action.value", "A percentage can't be more than 100");
+	}
+	if (type === "buy_x_get_y" && (!buyQuantity || !getQuantity)) {
+		this.invalidate("action.buyQuantity", "buy_x_get_y needs buyQuantity and getQuantity");
+	}
+	if (type === "free_item" && !freeProduct) {
+		this.invalidate("action.freeProduct", "free_item needs freeProduct");
+	}
+	if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+		this.invalidate("endsAt", "endsAt must be after startsAt");
+	}
+	next();
+});
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// one unit of a product with a per-customer limit, held by a checkout and kept by the order it becomes
+const purchaseHoldSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		product: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+		},
+		// the checkout's stock reservation reference
+		reference: {
+			type: String,
+			required: true,
+		},
+		// nth unit of the customer's allowance, unique while the unit counts
+		// so concurrent checkouts can't go over maxPerCustomer
+		slot: {
+			type: Number,
+		},
+		status: {
+			type: String,
+			enum: ["pending", "committed", "released"],
+			default: "pending",
+		},
+		order: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Order",
+			default: null,
+		},
+		expiresAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+purchaseHoldSchema.index(
+	{ user: 1, product: 1, slot: 1 },
+	{ unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+purchaseHoldSchema.index({ reference: 1, status: 1 });
+
+const PurchaseHold = mongoose.model("PurchaseHold", purchaseHoldSchema);
+
+export default PurchaseHold;
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const rewardSchema = new mongoose.Schema(
+	{
+		type: {
+			type: String,
+			enum: ["store_credit", "coupon"],
+		},
+		// base currency
+		amount: Number,
+		coupon: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Coupon",
+		},
+		creditTransaction: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "CreditTransaction",
+		},
+	},
+	{ _id: false }
+);
+
+// one per referred account, created at signup and rewarded on the referee's first order
+const referralSchema = new mongoose.Schema(
+	{
+		referrer: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		referee: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+			unique: true,
+		},
+		code: {
+			type: String,
+			required: true,
+		},
+		// qualifying while the rewards of the first order are being issued
+		status: {
+			type: String,
+			enum: ["pending", "qualifying", "rewarded", "rejected"],
+			default: "pending",
+		},
+		rejectionReason: {
+			type: String,
+			enum: ["self_referral", "same_email_domain", "same_wallet", null],
+			default: null,
+		},
+		order: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Order",
+			default: null,
+		},
+		referrerReward: rewardSchema,
+		refereeReward: rewardSchema,
+		rewardedAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+referralSchema.index({ referrer: 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+const Referral = mongoose.model("Referral", referralSchema);
+
+export default Referral;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// a hold on product stock while a checkout is in flight, released once expiresAt passes
+const reservationSchema = new mongoose.Schema(
+	{
+		reference: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		items: [
+			{
+				product: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "Product",
+					required: true,
+				},
+				variant: {
+					type: mongoose.Schema.Types.ObjectId,
+				},
+				quantity: {
+					type: Number,
+					required: true,
+					min: 1,
+				},
+			},
+		],
+		status: {
+			type: String,
+			enum: ["held", "committed", "released"],
+			default: "held",
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+const Reservation = mongoose.model("Reservation", reservationSchema);
+
+export default Reservation;
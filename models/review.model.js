@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema(
+	{
+		product: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		rating: {
+			type: Number,
+			required: [true, "Rating is required"],
+			min: [1, "Rating must be between 1 and 5"],
+			max: [5, "Rating must be between 1 and 5"],
+			validate: {
+				validator: Number.isInteger,
+				message: "Rating must be a whole number",
+			},
+		},
+		comment: {
+			type: String,
+			trim: true,
+			maxlength: [2000, "Review must be at most 2000 characters long"],
+			default: "",
+		},
+		// hidden reviews are kept for the author and admins but left out of listings and the product rating
+		status: {
+			type: String,
+			enum: ["approved", "hidden"],
+			default: "approved",
+		},
+		moderatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		moderatedAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+// one review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
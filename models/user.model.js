@@ -29,8 +29,46 @@ const userSchema = new mongoose.Schema(
 					type: mongoose.Schema.Types.ObjectId,
 					ref: "Product",
 				},
+				variant: {
+					type: mongoose.Schema.Types.ObjectId,
+				},
 			},
 		],
+		// drives the abandoned cart reminders, reset whenever the cart changes
+		cartUpdatedAt: {
+			type: Date,
+		},
+		cartRemindersSent: {
+			type: Number,
+			default: 0,
+		},
+		// loyalty balance and the lifetime total that decides the tier, see lib/loyalty.js
+		loyaltyPoints: {
+			type: Number,
+			default: 0,
+		},
+		loyaltyLifetimePoints: {
+			type: Number,
+			default: 0,
+		},
+		// base currency, spent at checkout like a gift card
+		storeCredit: {
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		// handed out by the customer, see lib/referrals.js
+		referralCode: {
+			type: String,
+			unique: true,
+			sparse: true,
+			uppercase: true,
+		},
+		referredBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
 		role: {
 			type: String,
 			enum: ["customer", "admin"],
@@ -42,6 +80,14 @@ const userSchema = new mongoose.Schema(
 	}
 );
 
+userSchema.pre("save", function (next) {
+	if (this.isModified("cartItems")) {
+		this.cartUpdatedAt = new Date();
+		this.cartRemindersSent = 0;
+	}
+	next();
+});
+
 // Pre-save hook to hash password before saving to database
 userSchema.pre("save", async function (next) {
 	if (!this.isModified("password")) return next();
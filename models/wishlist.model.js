@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const wishlistSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		name: {
+			type: String,
+			required: [true, "Name is required"],
+			trim: true,
+			maxlength: [60, "Name must be at most 60 characters long"],
+		},
+		items: [
+			{
+				product: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "Product",
+					required: true,
+				},
+				variant: {
+					type: mongoose.Schema.Types.ObjectId,
+				},
+				addedAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
+		// anyone holding the token can view the list read-only, cleared to stop sharing
+		shareToken: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const Wishlist = mongoose.model("Wishlist", wishlistSchema);
+
+export default Wishlist;
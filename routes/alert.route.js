@@ -0,0 +1,11 @@
+import express from "express";
+import { cancelAlert, createAlert, getAlerts } from "../controllers/alert.controller.js";
+import { protectedRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", protectedRoute, getAlerts);
+router.post("/", protectedRoute, createAlert);
+router.delete("/:id", protectedRoute, cancelAlert);
+
+export default router;
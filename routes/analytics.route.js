@@ -1,6 +1,7 @@
 import express from "express";
 import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
 import { getAnalyticsData, getDailySalesData } from "../controllers/analytics.controller.js";
+import { getAbandonedCartStats } from "../lib/abandonedCarts.js";
 
 const router = express.Router();
 
@@ -12,10 +13,12 @@ router.get("/", protectedRoute, adminRoute, async (req, res) => {
 		const startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
 
 		const dailySalesData = await getDailySalesData(startDate, endDate);
+		const abandonedCarts = await getAbandonedCartStats();
 
 		res.json({
 			analyticsData,
 			dailySalesData,
+			abandonedCarts,
 		});
 	} catch (error) {
 		console.log("Error in analytics route", error.message);
@@ -1,12 +1,16 @@
 import express from "express";
-import { addToCart, getCartProducts, removeAllFromCart, updateQuantity } from "../controllers/cart.controller.js";
-import { protectedRoute } from "../middleware/auth.middleware.js";
+import { addToCart, createQuote, getCartProducts, removeAllFromCart, updateQuantity } from "../controllers/cart.controller.js";
+import { optionalAuth, protectedRoute } from "../middleware/auth.middleware.js";
+import { resolveCart } from "../middleware/cart.middleware.js";
 
 const router = express.Router();
 
-router.get("/", protectedRoute, getCartProducts);
-router.post("/", protectedRoute, addToCart);
-router.delete("/", protectedRoute, removeAllFromCart);
-router.put("/:id", protectedRoute, updateQuantity);
+// guests get a cart too, kept in Redis until they log in or sign up
+router.get("/", optionalAuth, resolveCart, getCartProducts);
+router.post("/", optionalAuth, resolveCart, addToCart);
+router.delete("/", optionalAuth, resolveCart, removeAllFromCart);
+router.put("/:id", optionalAuth, resolveCart, updateQuantity);
+// checkout only accepts the signed quote id returned here
+router.post("/quote", protectedRoute, resolveCart, createQuote);
 
 export default router;
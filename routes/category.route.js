@@ -0,0 +1,12 @@
+import express from "express";
+import { createCategory, deleteCategory, getCategories, updateCategory } from "../controllers/category.controller.js";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", getCategories);
+router.post("/", protectedRoute, adminRoute, createCategory);
+router.put("/:id", protectedRoute, adminRoute, updateCategory);
+router.delete("/:id", protectedRoute, adminRoute, deleteCategory);
+
+export default router;
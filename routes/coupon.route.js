@@ -1,10 +1,24 @@
 import express from "express";
-import { protectedRoute } from "../middleware/auth.middleware.js";
-import { getCoupon, validateCoupon } from "../controllers/coupon.controller.js";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import {
+	createCoupon,
+	deleteCoupon,
+	getAllCoupons,
+	getCoupon,
+	getCouponRedemptions,
+	updateCoupon,
+	validateCoupon,
+} from "../controllers/coupon.controller.js";
 
 const router = express.Router();
 
 router.get("/", protectedRoute, getCoupon);
 router.post("/validate", protectedRoute, validateCoupon);
 
+router.get("/all", protectedRoute, adminRoute, getAllCoupons);
+router.post("/", protectedRoute, adminRoute, createCoupon);
+router.put("/:id", protectedRoute, adminRoute, updateCoupon);
+router.delete("/:id", protectedRoute, adminRoute, deleteCoupon);
+router.get("/:id/redemptions", protectedRoute, adminRoute, getCouponRedemptions);
+
 export default router;
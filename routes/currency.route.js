@@ -0,0 +1,18 @@
+import express from "express";
+import {
+	deleteExchangeRate,
+	getCurrencies,
+	importExchangeRates,
+	setExchangeRate,
+} from "../controllers/currency.controller.js";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import { dataFileUpload } from "../middleware/upload.middleware.js";
+
+const router = express.Router();
+
+router.get("/", getCurrencies);
+router.post("/import", protectedRoute, adminRoute, dataFileUpload, importExchangeRates);
+router.put("/:currency", protectedRoute, adminRoute, setExchangeRate);
+router.delete("/:currency", protectedRoute, adminRoute, deleteExchangeRate);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import {
+	createGiftCard,
+	getAllGiftCards,
+	getGiftCard,
+	getGiftCardBalance,
+	getMyGiftCards,
+	updateGiftCard,
+} from "../controllers/giftCard.controller.js";
+
+const router = express.Router();
+
+router.get("/mine", protectedRoute, getMyGiftCards);
+router.get("/balance/:code", protectedRoute, getGiftCardBalance);
+router.get("/", protectedRoute, adminRoute, getAllGiftCards);
+router.post("/", protectedRoute, adminRoute, createGiftCard);
+router.get("/:id", protectedRoute, adminRoute, getGiftCard);
+router.put("/:id", protectedRoute, adminRoute, updateGiftCard);
+
+export default router;
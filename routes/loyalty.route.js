@@ -0,0 +1,9 @@
+import express from "express";
+import { getLoyalty } from "../controllers/loyalty.controller.js";
+import { protectedRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", protectedRoute, getLoyalty);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import {
+	cancelMyOrder,
+	createRefund,
+	getAllOrders,
+	getMyOrder,
+	getMyOrders,
+	updateOrderStatus,
+} from "../controllers/order.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectedRoute, getMyOrders);
+router.get("/all", protectedRoute, adminRoute, getAllOrders);
+router.get("/:id", protectedRoute, getMyOrder);
+router.post("/:id/cancel", protectedRoute, cancelMyOrder);
+router.patch("/:id/status", protectedRoute, adminRoute, updateOrderStatus);
+router.post("/:id/refunds", protectedRoute, adminRoute, createRefund);
+
+export default router;
@@ -4,20 +4,33 @@ import {
 	deleteProduct,
 	getAllProducts,
 	getFeaturedProducts,
+	getPriceHistory,
 	getProductsByCategory,
 	getRecommendedProducts,
+	searchProducts,
 	toggleFeaturedProduct,
+	updateProduct,
 } from "../controllers/product.controller.js";
-import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import { exportProducts, importProducts } from "../controllers/catalog.controller.js";
+import { adminRoute, optionalAuth, protectedRoute } from "../middleware/auth.middleware.js";
+import { dataFileUpload } from "../middleware/upload.middleware.js";
+import reviewRoutes from "./review.route.js";
 
 const router = express.Router();
 
 router.get("/", protectedRoute, adminRoute, getAllProducts);
 router.get("/featured", getFeaturedProducts);
+router.get("/search", searchProducts);
 router.get("/category/:category", getProductsByCategory);
-router.get("/recommendations", getRecommendedProducts);
+router.get("/recommendations", optionalAuth, getRecommendedProducts);
+router.get("/export", protectedRoute, adminRoute, exportProducts);
 router.post("/", protectedRoute, adminRoute, createProduct);
+router.post("/import", protectedRoute, adminRoute, dataFileUpload, importProducts);
+router.get("/:id/price-history", protectedRoute, adminRoute, getPriceHistory);
+router.put("/:id", protectedRoute, adminRoute, updateProduct);
 router.patch("/:id", protectedRoute, adminRoute, toggleFeaturedProduct);
 router.delete("/:id", protectedRoute, adminRoute, deleteProduct);
 
+router.use("/:id/reviews", reviewRoutes);
+
 export default router;
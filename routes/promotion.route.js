@@ -0,0 +1,19 @@
+import express from "express";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import {
+	createPromotion,
+	deletePromotion,
+	getActivePromotionList,
+	getPromotions,
+	updatePromotion,
+} from "../controllers/promotion.controller.js";
+
+const router = express.Router();
+
+router.get("/active", getActivePromotionList);
+router.get("/", protectedRoute, adminRoute, getPromotions);
+router.post("/", protectedRoute, adminRoute, createPromotion);
+router.put("/:id", protectedRoute, adminRoute, updatePromotion);
+router.delete("/:id", protectedRoute, adminRoute, deletePromotion);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import { getMyReferrals, getReferralReport } from "../controllers/referral.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectedRoute, getMyReferrals);
+router.get("/report", protectedRoute, adminRoute, getReferralReport);
+
+export default router;
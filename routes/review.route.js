@@ -0,0 +1,20 @@
+import express from "express";
+import {
+	createReview,
+	deleteReview,
+	getProductReviews,
+	moderateReview,
+	updateReview,
+} from "../controllers/review.controller.js";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+
+// mounted under /api/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+router.get("/", getProductReviews);
+router.post("/", protectedRoute, createReview);
+router.put("/:reviewId", protectedRoute, updateReview);
+router.delete("/:reviewId", protectedRoute, deleteReview);
+router.patch("/:reviewId/moderate", protectedRoute, adminRoute, moderateReview);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { adminRoute, protectedRoute } from "../middleware/auth.middleware.js";
+import { adjustStoreCredit, getStoreCredit, getUserStoreCredit } from "../controllers/storeCredit.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectedRoute, getStoreCredit);
+router.get("/:userId", protectedRoute, adminRoute, getUserStoreCredit);
+router.post("/:userId/adjust", protectedRoute, adminRoute, adjustStoreCredit);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+	addWishlistItem,
+	createWishlist,
+	deleteWishlist,
+	getSharedWishlist,
+	getWishlists,
+	moveWishlistItemToCart,
+	removeWishlistItem,
+	renameWishlist,
+	shareWishlist,
+	unshareWishlist,
+} from "../controllers/wishlist.controller.js";
+import { protectedRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/shared/:token", getSharedWishlist);
+
+router.get("/", protectedRoute, getWishlists);
+router.post("/", protectedRoute, createWishlist);
+router.put("/:id", protectedRoute, renameWishlist);
+router.delete("/:id", protectedRoute, deleteWishlist);
+router.post("/:id/items", protectedRoute, addWishlistItem);
+router.delete("/:id/items/:itemId", protectedRoute, removeWishlistItem);
+router.post("/:id/items/:itemId/move-to-cart", protectedRoute, moveWishlistItemToCart);
+router.post("/:id/share", protectedRoute, shareWishlist);
+router.delete("/:id/share", protectedRoute, unshareWishlist);
+
+export default router;
@@ -0,0 +1,73 @@
+/**
+ * One-off migration from free-form Product.category strings to Category documents.
+ *
+ * Every distinct category string is slugified ("Shoes" and "shoes" both become "shoes"),
+ * a top level Category is created for each slug that doesn't exist yet and products are
+ * rewritten to point at the slug. Synonyms can be folded into another category:
+ *
+ *   node scripts/migrate-categories.js --merge sneakers=shoes --merge tees=t-shirts
+ *
+ * Pass --dry-run to only print what would change.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Category from "../models/category.model.js";
+import Product from "../models/product.model.js";
+import { invalidateCategoryTree, slugify } from "../lib/categories.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const merges = new Map();
+args.forEach((arg, index) => {
+	if (arg === "--merge" && args[index + 1]) {
+		const [from, to] = args[index + 1].split("=");
+		merges.set(slugify(from), slugify(to));
+	}
+});
+
+const titleCase = (value) => value.replace(/\b\w/g, (char) => char.toUpperCase());
+
+const migrate = async () => {
+	await mongoose.connect(process.env.MONGO_URI);
+
+	const existing = new Set((await Category.find({}).select("slug").lean()).map((c) => c.slug));
+	const distinct = await Product.distinct("category");
+
+	for (const original of distinct) {
+		const slug = merges.get(slugify(original)) || slugify(original);
+		if (!slug) {
+			console.warn(`Skipping category "${original}", nothing left after slugifying`);
+			continue;
+		}
+
+		if (!existing.has(slug)) {
+			console.log(`Creating category ${slug}`);
+			if (!dryRun) {
+				await Category.create({ name: titleCase(original.trim()), slug });
+			}
+			existing.add(slug);
+		}
+
+		if (original !== slug) {
+			const count = await Product.countDocuments({ category: original });
+			console.log(`Moving ${count} product(s) from "${original}" to ${slug}`);
+			if (!dryRun) {
+				await Product.updateMany({ category: original }, { category: slug });
+			}
+		}
+	}
+
+	if (!dryRun) {
+		await invalidateCategoryTree();
+	}
+	console.log(dryRun ? "Dry run finished, nothing was written" : "Category migration finished");
+};
+
+migrate()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error("Category migration failed:", error);
+		process.exit(1);
+	});
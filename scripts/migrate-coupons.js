@@ -0,0 +1,57 @@
+/**
+ * One-off migration to multi-use coupons.
+ *
+ * Coupons used to be one per customer (a unique index on userId) and single use, deactivated
+ * after checkout. This drops the unique index and marks the existing personal coupons as
+ * single use so they keep behaving the same.
+ *
+ * Pass --dry-run to only print what would change.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Coupon from "../models/coupon.model.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+	await mongoose.connect(process.env.MONGO_URI);
+
+	const indexes = await Coupon.collection.indexes();
+	const legacyIndex = indexes.find((index) => index.unique && Object.keys(index.key).join() === "userId");
+	if (legacyIndex) {
+		console.log(`Dropping unique index ${legacyIndex.name}`);
+		if (!dryRun) {
+			await Coupon.collection.dropIndex(legacyIndex.name);
+		}
+	}
+
+	const filter = { userId: { $ne: null }, maxRedemptions: { $exists: false } };
+	const count = await Coupon.countDocuments(filter);
+	console.log(`Marking ${count} personal coupon(s) as single use`);
+	if (!dryRun) {
+		await Coupon.updateMany(filter, [
+			{
+				$set: {
+					maxRedemptions: 1,
+					maxRedemptionsPerUser: 1,
+					discountType: "percentage",
+					// a deactivated legacy coupon was used (or expired), either way it is spent
+					redemptionCount: { $cond: ["$isActive", 0, 1] },
+					code: { $toUpper: "$code" },
+				},
+			},
+		]);
+		await Coupon.syncIndexes();
+	}
+
+	console.log(dryRun ? "Dry run finished, nothing was written" : "Coupon migration finished");
+};
+
+migrate()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error("Coupon migration failed:", error);
+		process.exit(1);
+	});
@@ -0,0 +1,71 @@
+/**
+ * One-off migration to the order status state machine.
+ *
+ * Crypto orders used to be saved as "completed", which isn't a status any more. They were paid
+ * but not shipped, so they become "processing" with a history entry saying why. Orders saved
+ * before the status history existed get their current status as the first entry. Finally the
+ * indexes are synced, which adds the unique indexes on stripeSessionId and transactionHash.
+ *
+ * Pass --dry-run to only print what would change.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+	await mongoose.connect(process.env.MONGO_URI);
+	const now = new Date();
+
+	// the raw collection, "completed" no longer passes the schema
+	const completed = { status: "completed" };
+	const count = await Order.collection.countDocuments(completed);
+	console.log(`Moving ${count} completed order(s) to processing`);
+	if (!dryRun) {
+		await Order.collection.updateMany(completed, {
+			$set: { status: "processing" },
+			$push: { statusHistory: { status: "processing", at: now, changedBy: null, note: "Migrated from completed" } },
+		});
+	}
+
+	const withoutHistory = { $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }] };
+	const historyCount = await Order.collection.countDocuments(withoutHistory);
+	console.log(`Starting the status history of ${historyCount} order(s)`);
+	if (!dryRun) {
+		await Order.collection.updateMany(withoutHistory, [
+			{ $set: { statusHistory: [{ status: "$status", at: "$createdAt", changedBy: null }] } },
+		]);
+	}
+
+	let duplicateCount = 0;
+	for (const field of ["stripeSessionId", "transactionHash"]) {
+		const duplicates = await Order.aggregate([
+			{ $match: { [field]: { $type: "string" } } },
+			{ $group: { _id: `$${field}`, orders: { $push: "$_id" }, count: { $sum: 1 } } },
+			{ $match: { count: { $gt: 1 } } },
+		]);
+		// the unique index can't be built until these are merged or removed by hand
+		for (const duplicate of duplicates) {
+			console.warn(`${field} ${duplicate._id} has ${duplicate.count} orders: ${duplicate.orders.join(", ")}`);
+		}
+		duplicateCount += duplicates.length;
+	}
+	if (duplicateCount) {
+		throw new Error(`${duplicateCount} checkout session(s) or transaction(s) have more than one order`);
+	}
+	if (!dryRun) {
+		await Order.syncIndexes();
+	}
+
+	console.log(dryRun ? "Dry run finished, nothing was written" : "Order migration finished");
+};
+
+migrate()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error("Order migration failed:", error);
+		process.exit(1);
+	});
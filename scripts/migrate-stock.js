@@ -0,0 +1,64 @@
+/**
+ * One-off backfill for stock tracking.
+ *
+ * Products and variants created before stock was tracked have no stock or reservedStock, which
+ * checkout treats as out of stock. This sets reservedStock to 0 and stock to the given starting
+ * level on everything that is missing them (gift cards are digital and skipped):
+ *
+ *   node scripts/migrate-stock.js --stock 100
+ *
+ * Without --stock they start at 0 and can't be sold until an admin sets their stock.
+ * Pass --dry-run to only print what would change.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const stockIndex = args.indexOf("--stock");
+const startingStock = stockIndex === -1 ? 0 : Number(args[stockIndex + 1]);
+
+const migrate = async () => {
+	if (!Number.isInteger(startingStock) || startingStock < 0) {
+		throw new Error("--stock must be a whole number of at least 0");
+	}
+	await mongoose.connect(process.env.MONGO_URI);
+
+	const physical = { productType: { $ne: "gift_card" } };
+
+	for (const field of ["stock", "reservedStock"]) {
+		const filter = { ...physical, [field]: { $exists: false } };
+		const value = field === "stock" ? startingStock : 0;
+		const count = await Product.collection.countDocuments(filter);
+		console.log(`Setting ${field} to ${value} on ${count} product(s)`);
+		if (!dryRun) {
+			await Product.collection.updateMany(filter, { $set: { [field]: value } });
+		}
+
+		const variantFilter = { ...physical, variants: { $elemMatch: { [field]: { $exists: false } } } };
+		const variantCount = await Product.collection.countDocuments(variantFilter);
+		console.log(`Setting ${field} to ${value} on the variants of ${variantCount} product(s)`);
+		if (!dryRun) {
+			await Product.collection.updateMany(
+				variantFilter,
+				{ $set: { [`variants.$[variant].${field}`]: value } },
+				{ arrayFilters: [{ [`variant.${field}`]: { $exists: false } }] }
+			);
+		}
+	}
+
+	if (startingStock === 0) {
+		console.log("Products without stock start at 0, set their stock before they can be sold");
+	}
+	console.log(dryRun ? "Dry run finished, nothing was written" : "Stock backfill finished");
+};
+
+migrate()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error("Stock backfill failed:", error);
+		process.exit(1);
+	});
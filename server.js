@@ -4,6 +4,14 @@ import mongoose from "mongoose";
 import cookieParser from "cookie-parser";
 import { isBlockchainHealthy } from "./lib/blockchain.js";
 import { isRedisHealthy } from "./lib/redis.js";
+import { startReservationSweeper } from "./lib/inventory.js";
+import { startRecommendationRefresher } from "./lib/recommendations.js";
+import { startPublishingScheduler } from "./lib/publishing.js";
+import { startAlertScanner } from "./lib/alerts.js";
+import { startAbandonedCartJob } from "./lib/abandonedCarts.js";
+import { startRedemptionSweeper } from "./lib/coupons.js";
+import { startLoyaltyJob } from "./lib/loyalty.js";
+import { startCreditSweeper } from "./lib/credit.js";
 import path from "path";
 
 import authRoutes from "./routes/auth.route.js";
@@ -12,6 +20,17 @@ import cartRoutes from "./routes/cart.route.js";
 import couponRoutes from "./routes/coupon.route.js";
 import paymentRoutes from "./routes/payment.route.js";
 import analyticsRoutes from "./routes/analytics.route.js";
+import categoryRoutes from "./routes/category.route.js";
+import currencyRoutes from "./routes/currency.route.js";
+import wishlistRoutes from "./routes/wishlist.route.js";
+import alertRoutes from "./routes/alert.route.js";
+import promotionRoutes from "./routes/promotion.route.js";
+import loyaltyRoutes from "./routes/loyalty.route.js";
+import giftCardRoutes from "./routes/giftCard.route.js";
+import storeCreditRoutes from "./routes/storeCredit.route.js";
+import referralRoutes from "./routes/referral.route.js";
+import orderRoutes from "./routes/order.route.js";
+import { resolveCurrency } from "./middleware/currency.middleware.js";
 
 dotenv.config();
 
@@ -25,18 +44,28 @@ app.use(cookieParser());
 
 app.use((req, res, next) => {
 	res.setHeader("Access-Control-Allow-Origin", process.env.CLIENT_URL);
-	res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
-	res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+	res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE");
+	res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Currency, Idempotency-Key");
 	res.setHeader("Access-Control-Allow-Credentials", "true");
 	next();
 });
 
 app.use("/api/auth", authRoutes);
-app.use("/api/products", productRoutes);
-app.use("/api/cart", cartRoutes);
+app.use("/api/products", resolveCurrency, productRoutes);
+app.use("/api/cart", resolveCurrency, cartRoutes);
 app.use("/api/coupons", couponRoutes);
-app.use("/api/payments", paymentRoutes);
+app.use("/api/payments", resolveCurrency, paymentRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/currencies", currencyRoutes);
+app.use("/api/wishlists", resolveCurrency, wishlistRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/loyalty", loyaltyRoutes);
+app.use("/api/gift-cards", giftCardRoutes);
+app.use("/api/store-credit", storeCreditRoutes);
+app.use("/api/referrals", referralRoutes);
+app.use("/api/orders", orderRoutes);
 
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
@@ -68,6 +97,23 @@ if (process.env.NODE_ENV === "production") {
 mongoose.connect(process.env.MONGO_URI)
 	.then(() => {
 		console.log("Connected to MongoDB");
+
+		// give abandoned checkouts their stock back
+		startReservationSweeper();
+		// and the coupon uses they were holding
+		startRedemptionSweeper();
+		// recompute co-purchase and best seller tables in the background
+		startRecommendationRefresher();
+		// publish and archive products on their publishAt / unpublishAt
+		startPublishingScheduler();
+		// notify back-in-stock and price-drop subscribers
+		startAlertScanner();
+		// remind customers about carts they left behind
+		startAbandonedCartJob();
+		// expire old loyalty points
+		startLoyaltyJob();
+		// give back gift card and store credit held by abandoned checkouts
+		startCreditSweeper();
 		
 		app.listen(PORT, async () => {
 			console.log(`Server is running on http://localhost:${PORT}`);